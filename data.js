@@ -1,28 +1,50 @@
 /**
  * TRIH Episode Explorer
- * - Loads CSV from Google Sheets
- * - Free-text search + multi-select filters (Year, Period, Region, Topic)
- * - Grouping: Year → Month (desc) + Period + Region + Topic
+ * - Loads episodes via the shared data layer (episodes.js)
+ * - Free-text search + multi-select filters (Year, Period, Region, Topic, Series;
+ *   include/exclude per option, match any/all per facet — filter-panel.js)
+ * - Grouping: Year → Month (desc) + Period + Region + Topic + Series
+ * - Sort order (#sortOrder) applies inside every group and level
+ *   (series grouping: series order, Part 1 first, until a sort is picked)
+ * - "Table" view: one row per episode (table-view.js)
+ * - "Timeline" view: periods as bands in historical order (timeline-view.js)
+ * - "Map" view: episodes by Region on a world map (map-view.js)
  * - Collapsed episode cards; click to expand
+ * - Deep links to one episode: ?episode=<GUID or number> or #ep-123
+ * - "You might also like" on each card (related.js)
+ * - Series navigation: "Part 2 of 5", previous/next, overview (series.js)
+ * - Suggested series for untagged multi-part episodes, CSV for the taggers
+ * - Keyboard shortcuts: / j k o g+letter Esc ? (keyboard.js)
+ * - Filter dropdowns: ARIA dialog + listbox, shared with stats.html (filter-panel.js)
+ * - Facet values: search box, live counts (zero = dimmed), select all shown, sort by count
+ * - My views: named filter + search + group-by presets, JSON export/import (views.js)
+ * - Back / Forward: each filter or group-by change is a history step (writeUrlState)
+ * - Listening status per episode + "x of y listened" per group (listening.js)
+ * - Favourites, ratings and notes — "My library" (library.js)
+ * - Listening queue with M3U / OPML / link export (queue.js)
+ * - Mini-player with resume position per episode (player.js)
  */
 
-const SHEET_CSV_URL = "https://docs.google.com/spreadsheets/d/e/2PACX-1vSJCZMVCGsqvaIkm4vFBUXeF39Jnmf_mTS2T8F1oQa40vP9Oys19OsqlN4WSZG8BArc2aK4WVOsfvqC/pub?output=csv";
-
-// Expected columns (use what exists; missing fields are handled):
-// Episode, Title, Publish Date, Description, Audio URL, Region, Period, Topic
+// Data loading, the episode model and filter matching live in episodes.js
 
 const state = {
   raw: [],
   filtered: [],
   groupBy: "date",   // ⭐ Default
-  filters: {
-    q: "",
-    years: new Set(),
-    periods: new Set(),
-    regions: new Set(),
-    topics: new Set(),
-    series: new Set() 
-  }
+  sort: "",          // "" = auto: relevans vid sökning, annars nyast först (se SORT_ORDERS)
+  filters: createFilters(),
+  scores: null,      // Map(episode → relevans) när sökningen har ord att ranka på
+  highlight: null,   // Set av indextermer som markeras i korten
+  episodeLink: null  // ?episode= / #ep- som väntar på att visas (se revealLinkedEpisode)
+};
+
+// Sorteringsval i #sortOrder — gäller inom alla grupper och nivåer
+const SORT_ORDERS = {
+  newest: (a, b) => dateValue(b) - dateValue(a) || compareEpisodeNumbers(b, a),
+  oldest: (a, b) => dateValue(a) - dateValue(b) || compareEpisodeNumbers(a, b),
+  episode: (a, b) => compareEpisodeNumbers(a, b) || a.Title.localeCompare(b.Title),
+  title: (a, b) => stripPrefix(a.Title).localeCompare(stripPrefix(b.Title)),
+  relevance: (a, b) => (state.scores.get(b) || 0) - (state.scores.get(a) || 0)
 };
 
 // 🆕 Lazy loading cache för toppnivå-grupper (år / period / region / topic)
@@ -32,79 +54,79 @@ const lazyCache = new WeakMap();
 const monthCache = new WeakMap();
 const groupBodyCache = new WeakMap();
 
+// Gruppens avsnitt per "12 of 30 listened"-etikett (se refreshGroupProgress)
+const groupProgressRows = new WeakMap();
+
 // 🆕 Hur många avsnitt som skapas per batch
 const EPISODE_BATCH_SIZE = 16;
 
 // 🆕 IntersectionObserver för lazy loading av grupper (år / period / region / topic)
 const lazyObserver = new IntersectionObserver(entries => {
   entries.forEach(entry => {
-    if (!entry.isIntersecting) return;
-
-    const placeholder = entry.target;
-    const cached = lazyCache.get(placeholder);
-    if (!cached) return;
-
-    // cached kan vara antingen en färdig nod ELLER en fabrik (funktion)
-    const realGroup = (typeof cached === "function") ? cached() : cached;
-
-    if (realGroup) {
-      placeholder.replaceWith(realGroup);
-      lazyObserver.unobserve(placeholder);
-      lazyCache.delete(placeholder);
-    }
+    if (entry.isIntersecting) materializeLazyGroup(entry.target);
   });
 }, { rootMargin: "200px" });
 
 // 🆕 Observer för månad-placeholders (nivå 2 i date-läge)
 const monthObserver = new IntersectionObserver(entries => {
   entries.forEach(entry => {
-    if (!entry.isIntersecting) return;
-
-    const ph = entry.target;
-    const data = monthCache.get(ph);
-    if (!data) return;
-
-    const { monthIndex, rows } = data;
-    const monthNode = buildMonthNode(monthIndex, rows);
-
-    ph.replaceWith(monthNode);
-    monthObserver.unobserve(ph);
-    monthCache.delete(ph);
+    if (entry.isIntersecting) materializeMonth(entry.target);
   });
 }, { rootMargin: "150px" });
 
 // 🆕 Observer för gruppkroppar (period/region/topic/series – avsnittsliste-lazy)
 const groupBodyObserver = new IntersectionObserver(entries => {
   entries.forEach(entry => {
-    if (!entry.isIntersecting) return;
+    if (entry.isIntersecting) materializeGroupBody(entry.target);
+  });
+}, { rootMargin: "150px" });
 
-    const ph = entry.target;
-    const data = groupBodyCache.get(ph);
-    if (!data) return;
+// Avsnitt som återstår att rita per behållare (se lazyFillEpisodes / flushLazyFill)
+const pendingFills = new WeakMap();
 
-    const { rows, groupType } = data;
+document.addEventListener("DOMContentLoaded", () => {
+  bootstrap();
+});
 
-    // Gör om placeholdern till en riktig container
-    ph.className = "group-body";
-    ph.textContent = "";
+// Favorit/betyg/anteckning ändrad: filtrera om bara om My library-filtret används,
+// annars räcker det att facettens val (t.ex. "Favourites") finns i dropdownen
+document.addEventListener("librarychange", () => {
+  if (isFacetActive(state.filters, "library")) {
+    debouncedApply();
+  } else {
+    rebuildFilterOptionsCascade();
+  }
+});
 
-    // 🆕 Endast period/region/topic ska sorteras efter PublishDate
-    let finalRows = rows;
+// Lyssnat-status ändrad (kort eller annan flik): filtrera om bara om Status-filtret används
+document.addEventListener("listeningchange", () => {
+  if (isFacetActive(state.filters, "status")) {
+    debouncedApply();
+  } else {
+    refreshGroupProgress();
+    rebuildFilterOptionsCascade();
+  }
+});
 
-    if (groupType !== "series") {
-      finalRows = rows.slice().sort((a, b) => b.PublishDate - a.PublishDate);
-    }
 
-    // Fyll avsnitten i batchar
-    lazyFillEpisodes(ph, finalRows);
+// Back / Forward mellan filtersteg
+window.addEventListener("popstate", () => {
+  if (!state.raw.length) return;
+  restoreUrlState(restoreStateFromUrl);
+});
 
-    groupBodyObserver.unobserve(ph);
-    groupBodyCache.delete(ph);
-  });
-}, { rootMargin: "150px" });
+// Bakgrundshämtningen klar utan nya data → ingen ny render; en länk som
+// väntar på arket avgörs nu (setEpisodes renderar själv när data ändrats)
+document.addEventListener("cataloguestatuschange", () => {
+  if (state.episodeLink && state.raw.length && !catalogueStatus.refreshing) debouncedApply();
+});
 
-document.addEventListener("DOMContentLoaded", () => {
-  bootstrap();
+// #ep-123 i adressfältet medan sidan är öppen
+window.addEventListener("hashchange", () => {
+  const value = episodeLinkFromHash();
+  if (!value) return;
+  state.episodeLink = value;
+  revealLinkedEpisode();
 });
 
 
@@ -114,34 +136,18 @@ function bootstrap() {
   const q = document.getElementById("q");
   const clearBtn = document.getElementById("clearBtn");
 
-  const debounced = debounce(() => { state.filters.q = (q.value || "").trim().toLowerCase(); applyAndRender(); }, 120);
+  const debounced = debounce(() => { state.filters.q = (q.value || "").trim(); applyAndRender(); }, 120);
   q.addEventListener("input", debounced);
 
   clearBtn.addEventListener("click", resetFilters);
   
   setupGroupByPills();
+  setupSortSelect();
+  wireFilterDropdowns();
 
-  loadCsv(SHEET_CSV_URL)
-    .then(rows => {
-      const normalized = rows.map(r => ({
-        GUID: (r["GUID"] || "").trim(), 
-        Episode: parseEpisode(r["Episode"]),
-        Title: (r["Title"] || "").trim(),
-        PublishDate: parseDate(r["Publish Date"]),
-        Description: (r["Description"] || "").trim(),
-        AudioURL: (r["Audio URL"] || "").trim(),
-        Region: parseTags(r["Region"]),
-        Period: parseTags(r["Period"]),
-        Topic: parseTags(r["Topic"]),
-        Series: (r["Series"] || "").trim()
-      }));
-
-      state.raw = normalized.filter(r => r.Title);
-
-      buildFilterOptions(state.raw);
-      applyUrlStateToUI();
-      debouncedApply();
-    })
+  // Cache → render direkt; nyare data från arket → setEpisodes igen
+  loadEpisodes(setEpisodes)
+    .then(setEpisodes)
     .catch(err => {
       console.error("CSV load failed", err);
       document.getElementById("list").innerHTML =
@@ -149,173 +155,19 @@ function bootstrap() {
     });
 }
 
-function loadCsv(url) {
-  return new Promise((resolve, reject) => {
-    Papa.parse(url, {
-      download: true,
-      header: true,
-      skipEmptyLines: true,
-      complete: res => resolve(res.data),
-      error: reject
-    });
-  });
+function setEpisodes(episodes) {
+  state.raw = episodes;
+  setQueueEpisodes(episodes);
+  setPlayerEpisodes(episodes);
+
+  buildFilterOptions(state.raw);
+  applyUrlStateToUI();
+  debouncedApply();
 }
 
 // ---------- Filters ----------
 function buildFilterOptions(rows) {
-  const years = new Set();
-  const periods = new Set();
-  const regions = new Set();
-  const topics = new Set();
-  const series = new Set();
-
-  rows.forEach(r => {
-    const y = r.PublishDate ? r.PublishDate.getFullYear() : null;
-    if (y) years.add(String(y));
-
-    if (r.Period.length) {
-      r.Period.forEach(p => periods.add(p));
-    } else {
-      periods.add("No period assigned");
-    }
-    
-    if (r.Region.length) {
-      r.Region.forEach(g => regions.add(g));
-    } else {
-      regions.add("No region assigned");
-    }
-
-    if (r.Topic && r.Topic.length) {
-      r.Topic.forEach(t => topics.add(t));
-    } else {
-      topics.add("No topic assigned");
-    }
-
-    if (r.Series) {
-      series.add(r.Series);
-    } else {
-      series.add("No series assigned");
-    }
-  });
-
-  const host = document.getElementById("filterDropdownHost");
-  host.innerHTML = "";
-
-  const dataMap = {
-    year: arrDesc([...years]),
-    period: sortWithNoneLast([...periods]),
-    region: sortAlphaNoneLast([...regions]),
-    topic: sortAlphaNoneLast([...topics]),
-    series: sortAlphaNoneLast([...series]) 
-  };
-
-  ["year","period","region","topic","series"].forEach(key => {
-    const panel = document.createElement("div");
-    panel.className = "filter-dropdown";
-    panel.dataset.filter = key;
-
-    const inner = document.createElement("div");
-    inner.className = "filter-dropdown-inner";
-    inner.id = key + "Options";
-
-    const values = dataMap[key];
-    values.forEach(v => {
-      const opt = document.createElement("label");
-      opt.className = "filter-option";
-
-      const input = document.createElement("input");
-      input.type = "checkbox";
-      input.value = v;
-
-      input.addEventListener("change", () => {
-        const set = 
-          key === "year"    ? state.filters.years :
-          key === "period"  ? state.filters.periods :
-          key === "region"  ? state.filters.regions :
-          key === "topic"   ? state.filters.topics :
-          state.filters.series;
-
-        if (input.checked) {
-          set.add(v);
-        } else {
-          set.delete(v);
-        }
-        debouncedApply();
-      });
-
-      opt.appendChild(input);
-      opt.appendChild(document.createTextNode(stripPrefix(v)));
-      inner.appendChild(opt);
-    });
-
-    panel.appendChild(inner);
-    host.appendChild(panel);
-  });
-
-  wirePillButtons();
-}
-
-function wirePillButtons() {
-  const pills = Array.from(document.querySelectorAll(".pill-button"));
-  const panels = Array.from(document.querySelectorAll(".filter-dropdown"));
-  const host = document.getElementById("filterDropdownHost");
-
-  function closeAll() {
-    pills.forEach(p => p.classList.remove("active"));
-    panels.forEach(p => p.classList.remove("open"));
-
-    // Flytta tillbaka panelerna till host när allt stängs
-    panels.forEach(p => {
-      host.appendChild(p);
-      p.style.left = "";
-      p.style.top = "";
-      p.style.position = "";
-      p.style.width = "";
-    });
-  }
-
-  pills.forEach(pill => {
-    pill.addEventListener("click", (e) => {
-      e.stopPropagation();
-      const key = pill.dataset.filter;
-      const panel = panels.find(p => p.dataset.filter === key);
-      const isActive = pill.classList.contains("active");
-
-      if (isActive) {
-        pill.classList.remove("active");
-        panel.classList.remove("open");
-        closeAll(); 
-        return;
-      }
-
-      // Stäng alla andra öppna paneler
-      closeAll();
-
-      // Markera denna pill som aktiv
-      pill.classList.add("active");
-      panel.classList.add("open");
-
-      // Flytta panelen in i samma wrapper som pillen
-      const wrapper = pill.closest(".pill-button-wrapper") || pill.parentElement;
-      wrapper.appendChild(panel);
-
-      // Positionera panel precis under pillen
-      panel.style.position = "absolute";
-      panel.style.left = "0px";
-      panel.style.top = "100%";
-      panel.style.width = "max-content";
-    });
-  });
-
-  // Tillåt klick inne i panelen utan att stänga den
-  panels.forEach(panel => {
-    panel.addEventListener("click", (e) => e.stopPropagation());
-  });
-
-  // Klick utanför → stäng alla
-  document.addEventListener("click", () => {
-    closeAll();
-  });
+  buildFacetPanels(rows, state.filters, debouncedApply);
 }
 
 function setupGroupByPills() {
@@ -328,7 +180,7 @@ function setupGroupByPills() {
       btn.classList.add("active");
 
       // uppdatera state
-      state.groupBy = btn.dataset.group; // "date" | "period" | "region" | "topic"
+      state.groupBy = btn.dataset.group; // "date" | "period" | "region" | "topic" | "series" | "table" | "timeline" | "map"
 
       debouncedApply();
     });
@@ -337,78 +189,29 @@ function setupGroupByPills() {
 
 function resetFilters() {
   document.getElementById("q").value = "";
-  state.filters.q = "";
-
-  state.filters.years.clear();
-  state.filters.periods.clear();
-  state.filters.regions.clear();
-  state.filters.topics.clear();
-
-  const allChecks = document.querySelectorAll(".filter-dropdown input[type='checkbox']");
-  allChecks.forEach(c => c.checked = false);
+  clearFilters(state.filters);
+  syncFacetPanels(state.filters);
 
   debouncedApply();
 }
 
 // ---------- Apply filters + render ----------
 function applyAndRender() {
-  const { q, years, periods, regions, topics, series } = state.filters;
+  let rows = filterEpisodes(state.raw, state.filters);
 
-  let rows = state.raw.slice();
-
-  rows = rows.filter(r => {
-    if (q) {
-      const hay = `${r.Title} ${r.Description} ${r.Period} ${r.Region} ${r.Topic}`.toLowerCase();
-      if (!hay.includes(q)) return false;
-    }
-    if (years.size) {
-      const y = r.PublishDate ? String(r.PublishDate.getFullYear()) : "";
-      if (!years.has(y)) return false;
-    }
-    if (periods.size) {
-      const tags = r.Period.length ? r.Period : ["No period assigned"];
-      if (!tags.some(tag => periods.has(tag))) return false;
-    }
-      
-    // Region
-    if (regions.size) {
-      const tags = r.Region.length ? r.Region : ["No region assigned"];
-      if (!tags.some(tag => regions.has(tag))) return false;
-    }
-
-    // Topic
-    if (topics.size) {
-      const tags = r.Topic && r.Topic.length ? r.Topic : ["No topic assigned"];
-      if (!tags.some(tag => topics.has(tag))) return false;
-    }
-
-    // Series
-    if (series.size) {
-      const tag = r.Series || "No series assigned";
-      if (series.size && !series.has(tag)) return false;
-    }
-
-    return true;
-  });
-
-  rows.sort((a, b) => {
-    const ya = a.PublishDate ? a.PublishDate.getFullYear() : 0;
-    const yb = b.PublishDate ? b.PublishDate.getFullYear() : 0;
-    if (yb - ya !== 0) return yb - ya;
-
-    const ma = a.PublishDate ? a.PublishDate.getMonth() : -1;
-    const mb = b.PublishDate ? b.PublishDate.getMonth() : -1;
-    if (mb - ma !== 0) return mb - ma;
-
-    if ((b.Episode || 0) - (a.Episode || 0) !== 0) return (b.Episode || 0) - (a.Episode || 0);
-    return a.Title.localeCompare(b.Title);
-  });
+  // 🆕 Sökning aktiv → relevanspoäng + markering av träffar
+  const { ast } = compileQuery(state.filters.q);
+  state.scores = ast ? relevanceScores(ast, rows) : null;
+  state.highlight = ast ? queryHighlightTerms(ast) : null;
+  rows = sortEpisodes(rows);
 
   state.filtered = rows;
   rebuildFilterOptionsCascade(rows);
 
   renderChips();
   renderStats(rows);
+  renderQueryHint();
+  renderSortSelect();
 
   const mode = state.groupBy;
   if (mode === "date") {
@@ -421,10 +224,72 @@ function applyAndRender() {
     renderGroupsByTopic(rows);
   } else if (mode === "series") {
     renderGroupsBySeries(rows);
+  } else if (mode === "table") {
+    renderEpisodeTable(document.getElementById("list"), rows);
+  } else if (mode === "timeline") {
+    renderEpisodeTimeline(document.getElementById("list"), rows);
+  } else if (mode === "map") {
+    renderRegionMap(document.getElementById("list"), rows, state.filters, toggleRegionFromMap);
   }
 
   // URL-sync
   updateUrlFromState();
+
+  revealLinkedEpisode();
+}
+
+// Klick på kartan → Region-filtret
+function toggleRegionFromMap(tag) {
+  toggleMapRegion(state.filters, tag);
+  syncFacetPanels(state.filters);
+  debouncedApply();
+}
+
+// Vald sortering, eller auto. Relevans kräver sökord (state.scores) — annars nyast först
+function currentSort() {
+  if (state.sort === "relevance" || !state.sort) {
+    return state.scores ? "relevance" : "newest";
+  }
+  return SORT_ORDERS[state.sort] ? state.sort : "newest";
+}
+
+// Relevans: stabil sortering på nyast först, så lika poäng håller datumordning
+function sortEpisodes(rows) {
+  const sort = currentSort();
+  const sorted = rows.slice().sort(sort === "relevance" ? SORT_ORDERS.newest : SORT_ORDERS[sort]);
+  return sort === "relevance" ? sorted.sort(SORT_ORDERS.relevance) : sorted;
+}
+
+// År/månader i date-läget följer riktningen: äldst först bara vid "oldest"
+function chronoDirection() {
+  return currentSort() === "oldest" ? 1 : -1;
+}
+
+function dateValue(r) {
+  return r.PublishDate ? r.PublishDate.getTime() : 0;
+}
+
+// Avsnitt utan nummer sist
+function compareEpisodeNumbers(a, b) {
+  if (a.Episode == null || b.Episode == null) {
+    return (a.Episode == null) - (b.Episode == null);
+  }
+  return a.Episode - b.Episode;
+}
+
+function setupSortSelect() {
+  const select = document.getElementById("sortOrder");
+  select.addEventListener("change", () => {
+    state.sort = select.value;
+    debouncedApply();
+  });
+}
+
+// "Relevance" går bara att välja när något ord är sökt
+function renderSortSelect() {
+  const select = document.getElementById("sortOrder");
+  select.querySelector('option[value="relevance"]').disabled = !state.scores;
+  select.value = currentSort();
 }
 
 // Global debounced render (för filter + pills)
@@ -433,30 +298,25 @@ const debouncedApply = debounce(() => applyAndRender(), 220);
 function renderChips() {
   const chipBox = document.getElementById("activeChips");
   chipBox.innerHTML = "";
-  const { years, periods, regions, topics, series, q } = state.filters;
+  const { q } = state.filters;
 
   const parts = [];
   if (q) parts.push(chip("Search", q, () => { document.getElementById("q").value=""; state.filters.q=""; debouncedApply(); }));
-  years.forEach(v => parts.push(chip("Year", v, () => { years.delete(v); uncheck("year", v); debouncedApply(); })));
-  periods.forEach(v => parts.push(chip("Period", v, () => { periods.delete(v); uncheck("period", v); debouncedApply(); })));
-  regions.forEach(v => parts.push(chip("Region", v, () => { regions.delete(v); uncheck("region", v); debouncedApply(); })));
-  topics.forEach(v => parts.push(chip("Topic", v, () => { topics.delete(v); uncheck("topic", v); debouncedApply(); })));
-  series.forEach(v => parts.push(chip("Series", v, () => { series.delete(v); uncheck("series", v); debouncedApply();})));
+  activeFilterEntries(state.filters).forEach(entry => {
+    const { label, value, exclude } = entry;
+    parts.push(chip(exclude ? `Not ${label}` : label, value, () => {
+      removeFilterEntry(state.filters, entry);
+      syncFacetPanels(state.filters);
+      debouncedApply();
+    }, exclude));
+  });
 
   parts.forEach(el => chipBox.appendChild(el));
 }
 
-function uncheck(key, value) {
-  const panel = document.querySelector(`.filter-dropdown[data-filter="${key}"]`);
-  if (!panel) return;
-  Array.from(panel.querySelectorAll("input")).forEach(i => {
-    if (i.value === value) i.checked = false;
-  });
-}
-
-function chip(label, value, onRemove) {
+function chip(label, value, onRemove, exclude = false) {
   const el = document.createElement("div");
-  el.className = "chip";
+  el.className = exclude ? "chip chip-exclude" : "chip";
   el.innerHTML = `
     <span class="chip-label">${label}:</span> 
     ${escapeHtml(stripPrefix(value))}
@@ -466,9 +326,22 @@ function chip(label, value, onRemove) {
   return el;
 }
 
+// Parse-fel i sökfrågan visas under sökrutan (sökningen körs ändå)
+function renderQueryHint() {
+  const hint = document.getElementById("qHint");
+  if (!hint) return;
+
+  const { errors } = compileQuery(state.filters.q);
+  hint.textContent = errors.length ? `⚠️ ${errors[0]}` : "";
+  document.getElementById("q").setAttribute("aria-invalid", errors.length ? "true" : "false");
+}
+
 function renderStats(rows) {
   const s = document.getElementById("stats");
-  s.textContent = `${rows.length} episode${rows.length === 1 ? "" : "s"} matching`;
+  const text = `${rows.length} episode${rows.length === 1 ? "" : "s"} matching` +
+    (currentSort() === "relevance" ? " · best matches first" : "");
+  // Live region — skriv bara vid ändring så att skärmläsare inte upprepar
+  if (s.textContent !== text) s.textContent = text;
 }
 
 /* ============================================
@@ -480,7 +353,7 @@ function renderGroups(rows) {
   host.innerHTML = "";
 
   const byYear = groupBy(rows, r => r.PublishDate ? r.PublishDate.getFullYear() : "Unknown");
-  const yearKeys = Object.keys(byYear).sort((a,b) => Number(b) - Number(a));
+  const yearKeys = Object.keys(byYear).sort((a,b) => (Number(a) - Number(b)) * chronoDirection());
 
   // Fabriker per år – skapar endast year-section + månads-placeholders
   const factories = yearKeys.map(year => {
@@ -497,7 +370,7 @@ function renderGroupsByPeriod(rows) {
 
   const groups = groupByMulti(
     rows,
-    r => r.Period.length ? r.Period : ["No period assigned"],
+    r => facetValues(r, "period"),
     [...state.filters.periods]
   );
 
@@ -527,7 +400,7 @@ function renderGroupsByRegion(rows) {
 
   const groups = groupByMulti(
     rows,
-    r => r.Region.length ? r.Region : ["No region assigned"],
+    r => facetValues(r, "region"),
     [...state.filters.regions]
   );
 
@@ -557,7 +430,7 @@ function renderGroupsByTopic(rows) {
 
   const groups = groupByMulti(
     rows,
-    r => r.Topic && r.Topic.length ? r.Topic : ["No topic assigned"],
+    r => facetValues(r, "topic"),
     [...state.filters.topics] 
   );
 
@@ -584,7 +457,7 @@ function renderGroupsByTopic(rows) {
 // ---------- Episode card ----------
 function renderEpisodeCard(r) {
   const d = document.createElement("details");
-  d.className = "episode-card";
+  d.className = `episode-card is-${listenStatus(r)}`;
 
   const epNum = (r.Episode != null && !isNaN(r.Episode)) ? `${r.Episode}. ` : "";
   const cleanTitle = r.Title.replace(/^\d+\.\s*/, "");
@@ -597,7 +470,10 @@ function renderEpisodeCard(r) {
     <svg class="toggle-icon" viewBox="0 0 24 24">
       <path d="M8 5l8 7-8 7" fill="none" stroke="currentColor" stroke-width="2"/>
     </svg>
-    <span>${escapeHtml(title)}</span>
+    <span>${highlightHtml(title, state.highlight)}</span>
+    <span class="listen-icon" aria-hidden="true"></span>
+    <span class="library-badge"></span>
+    ${r.AwaitingTags ? `<span class="badge badge-awaiting" title="New in the podcast feed — not tagged in the community sheet yet">Awaiting tags</span>` : ""}
   `;
   d.appendChild(summary);
 
@@ -606,14 +482,14 @@ function renderEpisodeCard(r) {
 
   const meta = [
     dateStr && `📅 ${dateStr}`,
+    r.Duration && `⏱️ ${formatDuration(r.Duration)}`,
     r.Period.length && `📆 Period: ${escapeHtml(r.Period.join(", "))}`,
     r.Region.length && `🌍 Region: ${escapeHtml(r.Region.join(", "))}`,
-    r.Topic && r.Topic.length && `🏷️ Topic: ${escapeHtml(r.Topic.join(", "))}`,
-    r.Series && `📚 Series: ${escapeHtml(r.Series)}`
+    r.Topic.length && `🏷️ Topic: ${escapeHtml(r.Topic.join(", "))}`
   ].filter(Boolean).join(" · ");
 
 
-  const desc = r.Description ? `<p class="desc">${escapeHtml(r.Description)}</p>` : "";
+  const desc = r.Description ? `<p class="desc">${highlightHtml(r.Description, state.highlight)}</p>` : "";
   const smartLink = r.GUID
     ? `https://pod.link/the-rest-is-history/episode/${encodeURIComponent(r.GUID)}`
     : r.AudioURL || "";
@@ -640,27 +516,89 @@ function renderEpisodeCard(r) {
     ${linksHtml}
   `;
 
+  // Spela direkt i sidan (player.js), före pod.link-pillen
+  if (r.AudioURL) {
+    let row = body.querySelector(".listen-row");
+    if (!row) {
+      row = document.createElement("div");
+      row.className = "listen-row";
+      body.appendChild(row);
+    }
+    row.prepend(renderPlayButton(r));
+  }
+
+  // Serie: "Part 2 of 5" + föregående/nästa (series.js), direkt under metaraden
+  if (episodeSeries(r).length) {
+    const meta = body.querySelector(".meta");
+    body.insertBefore(renderSeriesNav(r, state.raw, openLinkedEpisode), meta ? meta.nextSibling : body.firstChild);
+  }
+
+  body.appendChild(renderQueueToggle(r));
+  body.appendChild(renderCopyLinkButton(r));
+
+  // "You might also like" räknas först när kortet öppnas (related.js)
+  const related = document.createElement("div");
+  related.className = "related-episodes";
+  body.appendChild(related);
+  d.addEventListener("toggle", () => {
+    if (d.open && !related.hasChildNodes()) renderRelatedEpisodes(related, r, state.raw, openLinkedEpisode);
+  });
+
+  // Lyssnat-status: ikon i raden + knappar i kortet
+  const syncListenIcon = key => {
+    const info = listenStatusInfo(key);
+    LISTEN_STATUSES.forEach(s => d.classList.toggle(`is-${s.key}`, s.key === key));
+    const icon = summary.querySelector(".listen-icon");
+    icon.textContent = key === "unplayed" ? "" : info.icon;
+    icon.title = info.label;
+  };
+  body.appendChild(renderListenStatusControl(r, syncListenIcon));
+  syncListenIcon(listenStatus(r));
+
+  // My library: favorit + betyg syns i raden, anteckningen i kortet
+  const syncLibraryBadge = () => {
+    const { fav, rating } = libraryEntry(r);
+    const badge = summary.querySelector(".library-badge");
+    badge.textContent = [fav && "♥", rating && "★".repeat(rating)].filter(Boolean).join(" ");
+    badge.title = [fav && "Favourite", rating && `Rated ${rating} of 5`].filter(Boolean).join(", ");
+  };
+  body.appendChild(renderLibraryControls(r, syncLibraryBadge));
+  syncLibraryBadge();
+
   d.appendChild(body);
+  d.__episode = r;   // djuplänkar letar upp kortet (findEpisodeCard)
   return d;
 }
 
-// ---------- Utils ----------
-function debounce(fn, wait=120) {
-  let t; return (...args) => { clearTimeout(t); t = setTimeout(() => fn(...args), wait); };
-}
-function parseEpisode(v) {
-  if (v == null) return null;
-  const s = String(v).trim();
-  const m = /^(\d+)/.exec(s);
-  return m ? Number(m[1]) : null;
-}
-function parseDate(v) {
-  if (!v) return null;
-  const d = new Date(v);
-  return isNaN(d.getTime()) ? null : d;
+// "🔗 Copy link" — länk som öppnar just det här kortet
+function renderCopyLinkButton(r) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "episode-link-copy";
+  btn.textContent = "🔗 Copy link";
+  if (!r.GUID && r.Episode == null) {
+    btn.hidden = true;
+    return btn;
+  }
+
+  btn.addEventListener("click", () => {
+    const url = episodeLinkUrl(r);
+    const fallback = () => window.prompt("Copy this link:", url);
+    if (!navigator.clipboard) return fallback();
+
+    navigator.clipboard.writeText(url)
+      .then(() => {
+        btn.textContent = "✓ Link copied";
+        setTimeout(() => { btn.textContent = "🔗 Copy link"; }, 2000);
+      })
+      .catch(fallback);
+  });
+  return btn;
 }
+
+// ---------- Utils ----------
+// (debounce, parse*, escapeHtml, stripPrefix, sort*NoneLast finns i episodes.js)
 function arrAsc(a){ return a.sort((x,y)=> x.localeCompare(y)); }
-function arrDesc(a){ return a.sort((x,y)=> y.localeCompare(x)); }
 function groupBy(arr, fn) {
   const map = {};
   arr.forEach(x => {
@@ -672,47 +610,6 @@ function groupBy(arr, fn) {
 function monthLabel(m) {
   return new Date(2000, m, 1).toLocaleString("en-US", { month: "long" });
 }
-function escapeHtml(s){
-  return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
-}
-
-function parseTags(v) {
-  if (!v) return [];
-  return String(v)
-    .split(",")
-    .map(x => x.trim())
-    //.map(x => stripPrefix(x.trim()))   // ⭐ ta bort "1. ", "2. ", osv
-    .filter(Boolean);
-}
-
-function stripPrefix(v) {
-  return v.replace(/^\d+\.\s*/, "");
-}
-
-function sortWithNoneLast(arr) {
-  return arr.sort((a, b) => {
-    const aIsNone = a.startsWith("No ");
-    const bIsNone = b.startsWith("No ");
-
-    // "No period assigned" sist
-    if (aIsNone && !bIsNone) return 1;
-    if (!aIsNone && bIsNone) return -1;
-
-    // Hämta prefixnummer
-    const aNum = parseInt(a);
-    const bNum = parseInt(b);
-
-    // Om båda har nummer → sortera numeriskt ASC
-    if (!isNaN(aNum) && !isNaN(bNum)) return aNum - bNum;
-
-    // Om bara en har nummer → nummer först
-    if (!isNaN(aNum) && isNaN(bNum)) return -1;
-    if (isNaN(aNum) && !isNaN(bNum)) return 1;
-
-    // Fallback → alfabetiskt
-    return a.localeCompare(b);
-  });
-}
 
 function megaphoneGuidToPodlink(guid) {
   if (!guid) return null;
@@ -727,110 +624,9 @@ function megaphoneGuidToPodlink(guid) {
     .replace(/=+$/, "");
 }
 
+// Antal per värde i dropdownerna följer aktuella filter (filter-panel.js)
 function rebuildFilterOptionsCascade() {
-  const { years, periods, regions, topics, series } = state.filters;
-
-  // 1. Ta fram redan filtrerade rader
-  const rows = state.filtered;
-
-  // 2. Samla nya värden beroende på aktiva filters
-  const yearSet = new Set();
-  const periodSet = new Set();
-  const regionSet = new Set();
-  const topicSet = new Set();
-  const seriesSet = new Set();
-
-  rows.forEach(r => {
-    const y = r.PublishDate ? String(r.PublishDate.getFullYear()) : null;
-    if (y) yearSet.add(y);
-
-    const p = r.Period.length ? r.Period : ["No period assigned"];
-    p.forEach(v => periodSet.add(v));
-
-    const g = r.Region.length ? r.Region : ["No region assigned"];
-    g.forEach(v => regionSet.add(v));
-
-    const t = r.Topic && r.Topic.length ? r.Topic : ["No topic assigned"];
-    t.forEach(v => topicSet.add(v));
-    
-    const s = r.Series ? [r.Series] : ["No series assigned"];
-    s.forEach(v => seriesSet.add(v));
-  });
-
-  // 3. För varje dropdown – bygg bara om om det INTE är filtret som användaren valt
-  const dropdowns = [
-    { key: "year",    set: yearSet,    active: years.size > 0 },
-    { key: "period",  set: periodSet,  active: periods.size > 0 },
-    { key: "region",  set: regionSet,  active: regions.size > 0 },
-    { key: "topic",   set: topicSet,   active: topics.size > 0 },
-    { key: "series",  set: seriesSet,  active: series.size > 0 }
-  ];
-
-  dropdowns.forEach(({ key, set, active }) => {
-    // ❌ Hoppa över det filter som är aktivt (kaskadlogik men inte på sig själv)
-    if (active) return;
-
-    const panel = document.querySelector(`.filter-dropdown[data-filter="${key}"]`);
-    if (!panel) return;
-
-    const inner = panel.querySelector(".filter-dropdown-inner");
-    inner.innerHTML = "";
-
-    const sorted =
-      key === "year"
-        ? [...set].sort((a, b) => Number(b) - Number(a))
-        : key === "period"
-        ? sortWithNoneLast([...set])
-        : sortAlphaNoneLast([...set]);  // region/topic: alfabetiskt, "No…" sist
-
-    sorted.forEach(v => {
-      const opt = document.createElement("label");
-      opt.className = "filter-option";
-
-      const input = document.createElement("input");
-      input.type = "checkbox";
-      input.value = v;
-
-      // återställ tidigare val om det fanns
-      const owningSet =
-        key === "year"    ? years :
-        key === "period"  ? periods :
-        key === "region"  ? regions :
-        key === "topic"   ? topics :
-        series; 
-
-      input.checked = owningSet.has(v);
-
-      input.addEventListener("change", () => {
-        if (input.checked) {
-          owningSet.add(v);
-        } else {
-          owningSet.delete(v);
-        }
-        debouncedApply(); // trigga om-rendering + rebuild
-      });
-
-      opt.appendChild(input);
-      opt.appendChild(document.createTextNode(stripPrefix(v)));
-      inner.appendChild(opt);
-    });
-  });
-}
-
-function sortAlphaNoneLast(arr) {
-  return arr.sort((a, b) => {
-    const aIsNone = a.startsWith("No ");
-    const bIsNone = b.startsWith("No ");
-    if (aIsNone && !bIsNone) return 1;
-    if (!aIsNone && bIsNone) return -1;
-
-    return a.localeCompare(b);
-  });
-}
-
-function periodSortValue(v) {
-  const n = parseInt(v);
-  return isNaN(n) ? 9999 : n;   // lägg icke-numrerade sist
+  refreshFacetPanels(state.raw, state.filters, debouncedApply);
 }
 
 // 🆕 Skapa en placeholder som byts ut när gruppen syns
@@ -838,6 +634,8 @@ function renderLazyPlaceholder(factoryOrNode) {
   const ph = document.createElement("div");
   ph.className = "lazy-placeholder";
   ph.textContent = "Loading…";
+  // Byts ut när den syns — ingenting för skärmläsare att läsa upp
+  ph.setAttribute("aria-hidden", "true");
 
   // koppla riktiga gruppen/fabriken till placeholdern
   lazyCache.set(ph, factoryOrNode);
@@ -879,75 +677,81 @@ function groupByMulti(rows, getTagsFn, activeFilterArray) {
 function loadStateFromUrl() {
   const params = new URLSearchParams(window.location.search);
 
-  // Fritext
-  if (params.has("q")) {
-    state.filters.q = params.get("q").toLowerCase();
-  }
+  // Fritext + multi-select filters
+  filtersFromParams(params, state.filters);
 
   // Group-by
   if (params.has("group")) {
     state.groupBy = params.get("group");
   }
 
-  // Multi-select filters
-  ["years","periods","regions","topics","series"].forEach(key => {
-    if (params.has(key)) {
-      const raw = params.get(key).split(",");
-      raw.forEach(v => state.filters[key].add(v));
-    }
-  });
+  // Tabellens kolumnsortering (table-view.js)
+  if (params.has("tsort")) {
+    setTableSortParam(params.get("tsort"));
+  }
+
+  // Sortering (saknas = auto)
+  if (SORT_ORDERS[params.get("sort")]) {
+    state.sort = params.get("sort");
+  }
+
+  // Djuplänk till ett avsnitt (visas efter första render, se revealLinkedEpisode)
+  state.episodeLink = params.get("episode") || episodeLinkFromHash();
 }
 
-// 🆕 Skriv nuvarande filter till URL utan att ladda om sidan
+// 🆕 Skriv nuvarande filter till URL utan att ladda om sidan (nytt historiksteg
+// vid filter-/grupperingsändring, se writeUrlState)
 function updateUrlFromState() {
-  const params = new URLSearchParams();
+  const params = baseUrlParams();
 
-  if (state.filters.q) params.set("q", state.filters.q);
   if (state.groupBy) params.set("group", state.groupBy);
+  if (state.sort) params.set("sort", state.sort);
+  if (state.groupBy === "table" && tableSortParam()) params.set("tsort", tableSortParam());
+  filtersToParams(state.filters, params);
 
-  if (state.filters.years.size)
-    params.set("years", [...state.filters.years].join(","));
+  writeUrlState(params);
+  syncCurrentView();
+}
 
-  if (state.filters.periods.size)
-    params.set("periods", [...state.filters.periods].join(","));
+// Sparade vyer (views.js): filter + sökning + gruppering
+function currentViewParams() {
+  const params = filtersToParams(state.filters);
+  if (state.groupBy) params.set("group", state.groupBy);
+  return params;
+}
 
-  if (state.filters.regions.size)
-    params.set("regions", [...state.filters.regions].join(","));
+function applyViewParams(params) {
+  clearFilters(state.filters);
+  filtersFromParams(params, state.filters);
+  if (params.has("group")) state.groupBy = params.get("group");
+  document.getElementById("q").value = state.filters.q;
 
-  if (state.filters.topics.size)
-    params.set("topics", [...state.filters.topics].join(","));
-  
-  if (state.filters.series.size)
-  params.set("series", [...state.filters.series].join(","));
+  applyUrlStateToUI();
+  applyAndRender();
+}
+
+// Back / Forward: hela tillståndet från adressen, även sortering
+function restoreStateFromUrl() {
+  clearFilters(state.filters);
+  state.groupBy = "date";
+  state.sort = "";
+  loadStateFromUrl();
+  document.getElementById("q").value = state.filters.q;
 
-  const newUrl = `${location.pathname}?${params.toString()}`;
-  history.replaceState({}, "", newUrl);
+  applyUrlStateToUI();
+  applyAndRender();
 }
 
 function applyUrlStateToUI() {
-  const { q, years, periods, regions, topics, series } = state.filters;
+  const { q } = state.filters;
 
   // ---- Fritext ----
   if (q) {
     document.getElementById("q").value = q;
   }
 
-  // ---- Checkboxar ----
-  ["year","period","region","topic","series"].forEach(key => {
-    const panel = document.querySelector(`.filter-dropdown[data-filter="${key}"]`);
-    if (!panel) return;
-
-    const set =
-      key === "year"   ? years :
-      key === "period" ? periods :
-      key === "region" ? regions :
-      key === "topic"  ? topics :
-      series;
-
-    Array.from(panel.querySelectorAll("input[type='checkbox']")).forEach(input => {
-      input.checked = set.has(input.value);
-    });
-  });
+  // ---- Checkboxar + any/all ----
+  syncFacetPanels(state.filters);
 
   // ---- Group-by pills ----
   const pills = document.querySelectorAll(".group-pill");
@@ -971,6 +775,21 @@ function createRealGroup(key, rowsForGroup, groupType, icon = "") {
   heading.textContent = `${icon} ${stripPrefix(String(key))}`;
   section.appendChild(heading);
 
+  const progress = document.createElement("span");
+  progress.className = "group-progress";
+  progress.textContent = listeningProgressLabel(rowsForGroup);
+  groupProgressRows.set(progress, rowsForGroup);
+  heading.appendChild(progress);
+
+  // Köa hela gruppen i listans sortering (queue.js)
+  heading.appendChild(renderQueueGroupButton(() => groupEpisodeOrder(key, rowsForGroup, groupType), stripPrefix(String(key))));
+
+  // Serieöversikt: delar, datumspann, saknade delar
+  if (groupType === "series" && seriesFor(key, state.raw)) {
+    if (isSuggestedSeries(key)) heading.insertAdjacentHTML("beforeend", suggestedBadgeHtml());
+    section.appendChild(renderSeriesOverview(key, state.raw, openLinkedEpisode));
+  }
+
   // ⭐ SPECIALFALL: DATE-GRUPPER — behåll månads-lazy
   if (groupType === "date") {
     const byMonth = groupBy(rowsForGroup, r =>
@@ -979,7 +798,7 @@ function createRealGroup(key, rowsForGroup, groupType, icon = "") {
 
     const monthKeys = Object.keys(byMonth)
       .map(n => Number(n))
-      .sort((a, b) => b - a);
+      .sort((a, b) => (a - b) * chronoDirection());
 
     monthKeys.forEach(m => {
       const ph = document.createElement("div");
@@ -990,7 +809,7 @@ function createRealGroup(key, rowsForGroup, groupType, icon = "") {
       // Minimal HTML + CSS gör placeringen snabbare
       ph.innerHTML = `
         <h3 class="month-heading">${label}</h3>
-        <div class="lazy-month-label">Loading episodes…</div>
+        <div class="lazy-month-label" aria-hidden="true">Loading episodes…</div>
       `;
 
       // Koppla data för lazy-build
@@ -1007,9 +826,10 @@ function createRealGroup(key, rowsForGroup, groupType, icon = "") {
   const bodyPh = document.createElement("div");
   bodyPh.className = "group-body-placeholder";
   bodyPh.textContent = "Loading episodes…";
+  bodyPh.setAttribute("aria-hidden", "true");
 
   // Koppla data för lazy-build
-  groupBodyCache.set(bodyPh, { rows: rowsForGroup, groupType });
+  groupBodyCache.set(bodyPh, { key, rows: rowsForGroup, groupType });
   groupBodyObserver.observe(bodyPh);
 
   section.appendChild(bodyPh);
@@ -1017,6 +837,218 @@ function createRealGroup(key, rowsForGroup, groupType, icon = "") {
   return section;
 }
 
+/* ==========================
+   Djuplänkar: ?episode=<GUID eller nummer>, #ep-123
+   ========================== */
+
+// Länken från kortet: GUID när det finns (stabilt), annars avsnittsnumret
+function episodeLinkUrl(r) {
+  const params = baseUrlParams();
+  params.set("episode", r.GUID || String(r.Episode));
+  return `${location.origin}${location.pathname}?${params.toString()}`;
+}
+
+// Länkar mellan kort ("You might also like") går samma väg som en djuplänk
+function openLinkedEpisode(r) {
+  state.episodeLink = r.GUID || String(r.Episode);
+  revealLinkedEpisode();
+}
+
+function episodeLinkFromHash() {
+  const m = /^#ep-(.+)$/.exec(window.location.hash);
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+// GUID först, sedan avsnittsnummer
+function findLinkedEpisode(value) {
+  const v = String(value).trim();
+  const byGuid = state.raw.find(r => r.GUID && r.GUID === v);
+  if (byGuid || !/^\d+$/.test(v)) return byGuid || null;
+  return state.raw.find(r => r.Episode === Number(v)) || null;
+}
+
+// Körs efter varje render så länge en länk väntar. Hittas inte avsnittet
+// väntar länken på bakgrundshämtningen av arket (cachen kan vara äldre);
+// först när katalogen är slutgiltig visas "not found", en gång.
+function revealLinkedEpisode() {
+  const value = state.episodeLink;
+  if (!value || !state.raw.length) return;
+
+  const r = findLinkedEpisode(value);
+  if (!r) {
+    if (catalogueStatus.refreshing) return;
+    state.episodeLink = null;
+    showDeepLinkNote(`Episode “${value}” was not found.`);
+    return;
+  }
+
+  // Dolt av filtren → visa allt, med en notis som kan ta tillbaka filtren;
+  // kartan har inga kort → datumvyn
+  const hidden = !state.filtered.includes(r);
+  if (hidden || state.groupBy === "map") {
+    const previous = hidden ? currentViewParams() : null;
+    if (hidden) {
+      previous.delete("group");
+      document.getElementById("q").value = "";
+      clearFilters(state.filters);
+    }
+    if (state.groupBy === "map") state.groupBy = "date";
+    applyUrlStateToUI();
+    applyAndRender();   // kommer tillbaka hit med avsnittet synligt
+    if (previous) {
+      showDeepLinkNote(`Your filters were cleared to show “${r.Title}”.`,
+        { label: "Restore filters", action: () => applyViewParams(previous) });
+    }
+    return;
+  }
+
+  state.episodeLink = null;
+
+  let card;
+  if (state.groupBy === "table") {
+    card = revealInTable(r);
+  } else if (state.groupBy === "timeline") {
+    card = revealInTimeline(r);
+  } else {
+    card = revealInList(document.getElementById("list"), r);
+  }
+  if (!card) return;
+
+  card.open = true;
+  card.classList.add("is-linked");
+  card.addEventListener("animationend", () => card.classList.remove("is-linked"), { once: true });
+  card.scrollIntoView({ block: "center" });
+  card.querySelector("summary").focus({ preventScroll: true });
+}
+
+// Notis överst i listan; ersätter en tidigare, försvinner vid nästa render
+function showDeepLinkNote(text, button) {
+  const host = document.getElementById("list");
+  host.querySelectorAll(".deep-link-note").forEach(n => n.remove());
+
+  const note = document.createElement("div");
+  note.className = "deep-link-note";
+  note.setAttribute("role", "status");
+  note.textContent = text;
+  if (button) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "deep-link-action";
+    btn.textContent = button.label;
+    btn.addEventListener("click", button.action);
+    note.append(" ", btn);
+  }
+  host.prepend(note);
+}
+
+function findEpisodeCard(host, r) {
+  return Array.from(host.querySelectorAll(".episode-card")).find(c => c.__episode === r) || null;
+}
+
+// Bygger bara det som behövs: grupperna fram till avsnittets, dess månad/kropp,
+// och resten av den behållarens kort
+function revealInList(host, r) {
+  const holds = ph => {
+    const data = monthCache.get(ph) || groupBodyCache.get(ph);
+    return Boolean(data) && data.rows.includes(r);
+  };
+  const findPlaceholder = () =>
+    Array.from(host.querySelectorAll(".month-placeholder, .group-body-placeholder")).find(holds);
+  const findPending = () =>
+    Array.from(host.querySelectorAll(".month-episodes, .group-body")).find(c => {
+      const fill = pendingFills.get(c);
+      return fill && fill.rows.includes(r);
+    });
+
+  for (const ph of Array.from(host.querySelectorAll(".lazy-placeholder"))) {
+    if (findEpisodeCard(host, r) || findPlaceholder() || findPending()) break;
+    materializeLazyGroup(ph);
+  }
+
+  const ph = findPlaceholder();
+  if (ph) {
+    if (monthCache.has(ph)) materializeMonth(ph); else materializeGroupBody(ph);
+  }
+
+  const pending = findPending();
+  if (pending) flushLazyFill(pending);
+
+  return findEpisodeCard(host, r);
+}
+
+// Kortet före/efter `card` (step -1 / +1) i listan; bygger placeholders på vägen.
+// card = null → första/sista kortet.
+function adjacentEpisodeCard(card, step) {
+  const host = document.getElementById("list");
+  if (card && !card.isConnected) card = null;
+
+  // b ligger efter a i stegets riktning
+  const follows = (a, b) => {
+    const pos = a.compareDocumentPosition(b);
+    return Boolean(pos & (step > 0 ? Node.DOCUMENT_POSITION_FOLLOWING : Node.DOCUMENT_POSITION_PRECEDING));
+  };
+
+  for (;;) {
+    host.querySelectorAll(".month-episodes, .group-body").forEach(flushLazyFill);
+
+    const cards = Array.from(host.querySelectorAll(".episode-card"));
+    const i = card ? cards.indexOf(card) : (step > 0 ? -1 : cards.length);
+    const target = cards[i + step] || null;
+
+    // Närmaste obyggda del mellan kortet och målet (eller bortom sista kortet)
+    const lazy = Array.from(host.querySelectorAll(".lazy-placeholder, .month-placeholder, .group-body-placeholder"))
+      .filter(ph => (!card || follows(card, ph)) && (!target || follows(ph, target)));
+    const next = step > 0 ? lazy[0] : lazy[lazy.length - 1];
+    if (!next || !materializeLazyPart(next)) return target;
+  }
+}
+
+function materializeLazyPart(ph) {
+  if (lazyCache.has(ph)) return materializeLazyGroup(ph);
+  if (monthCache.has(ph)) return materializeMonth(ph);
+  if (groupBodyCache.has(ph)) return materializeGroupBody(ph);
+  return null;
+}
+
+function revealInTable(r) {
+  tableView.selected = r;
+  const i = tableView.rows.indexOf(r);
+  if (tableView.scroller && i >= 0) {
+    tableView.scroller.scrollTop = Math.max(0, (i - 3) * TABLE_ROW_HEIGHT);
+  }
+  renderVisibleRows();
+  renderTableDetail();
+  return document.querySelector(".table-detail .episode-card");
+}
+
+function revealInTimeline(r) {
+  const view = document.querySelector(".timeline-view");
+  if (!view) return null;
+
+  timelineView.selected = r;
+  syncTimelineSelection(view);
+  renderTimelineDetail(view);
+
+  const marker = Array.from(view.querySelectorAll(".timeline-marker")).find(m => m.__episode === r);
+  if (marker) marker.scrollIntoView({ block: "nearest", inline: "center" });
+  return view.querySelector(".timeline-detail .episode-card");
+}
+
+// En serie listas Part 1 först — om inte en sortering valts eller en sökning pågår
+function groupEpisodeOrder(key, rows, groupType) {
+  if (groupType !== "series" || state.sort || state.scores) return sortEpisodes(rows);
+  const series = seriesFor(key, state.raw);
+  if (!series) return sortEpisodes(rows);
+  return series.episodes.filter(r => rows.includes(r));
+}
+
+function refreshGroupProgress() {
+  document.querySelectorAll(".group-progress").forEach(el => {
+    const rows = groupProgressRows.get(el);
+    if (rows) el.textContent = listeningProgressLabel(rows);
+  });
+}
+
 /* ==========================
    Hjälpare för lazy rendering
    ========================== */
@@ -1032,26 +1064,94 @@ function scheduleIdle(fn) {
 
 // 🆕 Rendera avsnitt i batchar
 function lazyFillEpisodes(container, rows) {
-  let i = 0;
+  const fill = { rows, i: 0 };
   const total = rows.length;
+  pendingFills.set(container, fill);
+  // Skärmläsare väntar in hela gruppen i stället för att läsa batch för batch
+  container.setAttribute("aria-busy", "true");
 
   function step() {
+    if (pendingFills.get(container) !== fill) return;   // redan tömd av flushLazyFill
     let count = 0;
 
-    while (i < total && count < EPISODE_BATCH_SIZE) {
-      container.appendChild(renderEpisodeCard(rows[i]));
-      i++;
+    while (fill.i < total && count < EPISODE_BATCH_SIZE) {
+      container.appendChild(renderEpisodeCard(rows[fill.i]));
+      fill.i++;
       count++;
     }
 
-    if (i < total) {
+    if (fill.i < total) {
       scheduleIdle(step);
+    } else {
+      pendingFills.delete(container);
+      container.removeAttribute("aria-busy");
     }
   }
 
   scheduleIdle(step);
 }
 
+// Rita resten av behållarens avsnitt direkt (djuplänk till ett kort längre ner)
+function flushLazyFill(container) {
+  const fill = pendingFills.get(container);
+  if (!fill) return;
+  pendingFills.delete(container);
+
+  while (fill.i < fill.rows.length) {
+    container.appendChild(renderEpisodeCard(fill.rows[fill.i]));
+    fill.i++;
+  }
+  container.removeAttribute("aria-busy");
+}
+
+// Placeholders → riktiga noder; anropas av observers och av revealInList
+function materializeLazyGroup(placeholder) {
+  const cached = lazyCache.get(placeholder);
+  if (!cached) return null;
+
+  // cached kan vara antingen en färdig nod ELLER en fabrik (funktion)
+  const realGroup = (typeof cached === "function") ? cached() : cached;
+
+  if (realGroup) {
+    placeholder.replaceWith(realGroup);
+    lazyObserver.unobserve(placeholder);
+    lazyCache.delete(placeholder);
+  }
+  return realGroup;
+}
+
+function materializeMonth(ph) {
+  const data = monthCache.get(ph);
+  if (!data) return null;
+
+  const { monthIndex, rows } = data;
+  const monthNode = buildMonthNode(monthIndex, rows);
+
+  ph.replaceWith(monthNode);
+  monthObserver.unobserve(ph);
+  monthCache.delete(ph);
+  return monthNode;
+}
+
+function materializeGroupBody(ph) {
+  const data = groupBodyCache.get(ph);
+  if (!data) return null;
+
+  const { key, rows, groupType } = data;
+
+  // Gör om placeholdern till en riktig container
+  ph.className = "group-body";
+  ph.textContent = "";
+  ph.removeAttribute("aria-hidden");
+
+  // Fyll avsnitten i batchar, i vald sortering
+  lazyFillEpisodes(ph, groupEpisodeOrder(key, rows, groupType));
+
+  groupBodyObserver.unobserve(ph);
+  groupBodyCache.delete(ph);
+  return ph;
+}
+
 // 🆕 Bygg en riktig månad när monthObserver triggas
 function buildMonthNode(monthIndex, rows) {
   const monthDiv = document.createElement("div");
@@ -1064,8 +1164,7 @@ function buildMonthNode(monthIndex, rows) {
   container.className = "month-episodes";
   monthDiv.appendChild(container);
 
-  const sorted = rows.slice().sort((a, b) => b.PublishDate - a.PublishDate);
-  lazyFillEpisodes(container, sorted);
+  lazyFillEpisodes(container, sortEpisodes(rows));
 
   return monthDiv;
 }
@@ -1077,10 +1176,15 @@ function renderGroupsBySeries(rows) {
   // Group episodes by Series (multi-select)
   const groups = groupByMulti(
     rows,
-    r => [r.Series || "No series assigned"],
+    r => facetValues(r, "series"),
     [...state.filters.series]
   );
 
+  // Föreslagna serier (series.js): antal + CSV-export för taggarna
+  if (Object.keys(groups).some(isSuggestedSeries)) {
+    host.appendChild(renderSuggestedSeriesBar());
+  }
+
   // Sort Series alphabetically, "No series assigned" last
   const keys = Object.keys(groups).sort((a, b) => {
     const aIsNone = a.startsWith("No ");
@@ -1092,35 +1196,6 @@ function renderGroupsBySeries(rows) {
 
   const factories = keys.map(key => {
     const rowsForSeries = groups[key];
-
-    // Sort within each Series:
-    // 1. Episode number ascending (numeric)
-    // 2. If no episode number → alphabetical title
-    rowsForSeries.sort((a, b) => {
-      // Extract leading episode number from Title
-      const extractNum = t => {
-        const m = /^(\d+)/.exec(t);
-        return m ? Number(m[1]) : null;
-      };
-    
-      const ea = extractNum(a.Title);
-      const eb = extractNum(b.Title);
-    
-      const aIsNum = ea !== null;
-      const bIsNum = eb !== null;
-    
-      // 1. If both have numbers → numeric ASC
-      if (aIsNum && bIsNum) return ea - eb;
-    
-      // 2. If only one has number → numbers first
-      if (aIsNum && !bIsNum) return -1;
-      if (!aIsNum && bIsNum) return 1;
-    
-      // 3. If neither has number → alphabetical ASC
-      return a.Title.localeCompare(b.Title);
-    });
-
-
     return () => createRealGroup(key, rowsForSeries, "series", "📚");
   });
 
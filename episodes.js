@@ -0,0 +1,875 @@
+/**
+ * TRIH Episode data layer (shared by index.html and stats.html)
+ * - Loads the community sheet (CSV) once per page
+ * - Keeps the parsed sheet in IndexedDB: render from cache, refresh in background
+ * - Falls back to the bundled snapshot (episodes.json) when the sheet fails;
+ *   ?source=<url> loads a snapshot instead of the sheet (local fixtures)
+ * - Normalizes every row into one episode model
+ * - Shared filter/query API: facets, matching, option lists, URL state
+ *
+ * Load order: papaparse → episodes.js → data.js / stats.js
+ */
+
+const SHEET_CSV_URL = "https://docs.google.com/spreadsheets/d/e/2PACX-1vSJCZMVCGsqvaIkm4vFBUXeF39Jnmf_mTS2T8F1oQa40vP9Oys19OsqlN4WSZG8BArc2aK4WVOsfvqC/pub?output=csv";
+
+// Sheet columns (use what exists; missing fields are handled):
+// GUID, Episode, Title, Publish Date, Description, Audio URL, Region, Period, Topic, Series
+// + from the feed merge: Duration, Episode Type, Awaiting Tags
+//
+// Episode model — every page works on these objects only:
+//   GUID         string        feed GUID ("" when missing)
+//   Episode      number|null   leading number of the "Episode" column
+//   Title        string        as in the sheet (may start with "123. ")
+//   PublishDate  Date|null
+//   Description  string
+//   AudioURL     string
+//   Period       string[]      keeps the "1. " prefix (used for ordering)
+//   Region       string[]
+//   Topic        string[]
+//   Series       string[]
+//   SuggestedSeries string[]   detected from titles, not in the sheet (series.js)
+//   Duration     number|null   seconds (itunes:duration)
+//   EpisodeType  string        "full" | "bonus" | "trailer" | "" (not in feed)
+//   AwaitingTags boolean       in the feed but not yet in the sheet
+
+// Facets in UI order. key = data-filter in the HTML, param = property in
+// filters + URL parameter, field = tag array on the episode.
+const FACETS = [
+  { key: "year",   param: "years",   label: "Year", single: true },
+  { key: "period", param: "periods", label: "Period", field: "Period", none: "No period assigned" },
+  { key: "region", param: "regions", label: "Region", field: "Region", none: "No region assigned" },
+  { key: "topic",  param: "topics",  label: "Topic",  field: "Topic",  none: "No topic assigned" },
+  { key: "series", param: "series",  label: "Series", field: "Series", none: "No series assigned" },
+  { key: "status", param: "status",  label: "Status", single: true },  // listening.js
+  { key: "library", param: "library", label: "My library", none: "Not in my library" }  // library.js
+];
+// single: ett värde per avsnitt → ingen match any/all
+
+// IndexedDB: one record with the raw sheet rows + when they were fetched.
+// Raw rows (not episodes) are cached so parsing fixes apply to cached data too.
+const CATALOGUE_DB = "trih-explorer";
+const CATALOGUE_STORE = "catalogue";
+const CATALOGUE_KEY = "sheet";
+
+// Bundled snapshot — same raw rows as the sheet, wrapped with a version:
+//   { "format": "trih-episodes", "version": 1,
+//     "generatedAt": "2026-01-01T00:00:00Z", "rows": [ { "Title": …, … } ] }
+// Written from the sheet by tools/snapshot.js (daily, .github/workflows/snapshot.yml);
+// downloadSnapshot() in the browser console gives the same file.
+const SNAPSHOT_URL = "episodes.json";
+const SNAPSHOT_FORMAT = "trih-episodes";
+const SNAPSHOT_VERSION = 1;
+
+// Shown by renderCatalogueStatus() ("Data as of …")
+const catalogueStatus = {
+  source: "sheet",     // "sheet" | "snapshot"
+  sourceUrl: null,     // snapshot URL when source === "snapshot"
+  fallback: false,     // snapshot used because the sheet failed
+  fetchedAt: null,     // Date
+  refreshing: false,   // background refresh running
+  offline: false       // last refresh failed → showing cached data
+};
+
+let episodesPromise = null;
+
+// Raw rows behind the current episodes (for downloadSnapshot)
+let catalogueRows = [];
+
+// ---------- Loading ----------
+
+// Hämtar och normaliserar arket en gång per sida.
+// Finns en cache → resolve direkt med den, hämta arket i bakgrunden och
+// anropa onRefresh(episodes) om innehållet har ändrats.
+// Ingen cache och arket går inte att läsa → bundlad snapshot.
+// ?source= (fixtures) slår bara ihop ett uttryckligt ?feed=, aldrig det publika
+// flödet — fixture-körningar ska inte gå ut på nätet.
+// feed: false (stats.html) hämtar inte flödet utan återanvänder flödesposterna
+// som senast cachades tillsammans med arket.
+function loadEpisodes(onRefresh, { feed = true } = {}) {
+  if (!episodesPromise) {
+    const params = new URLSearchParams(window.location.search);
+    const source = params.get("source");
+
+    const rowsPromise = source
+      ? Promise.all([loadSnapshot(source), loadFeedItems(params.get("feed"))]).then(([rows, items]) => mergeFeedRows(rows, items))
+      : loadCatalogue(onRefresh, feed ? feedUrl() : null);
+
+    episodesPromise = rowsPromise.then(normalizeRows);
+  }
+  return episodesPromise;
+}
+
+// Flödet hämtas högst en gång per laddning; samma poster används för arket
+// och, om arket inte går att läsa, för snapshoten
+function loadCatalogue(onRefresh, feed) {
+  return readCachedCatalogue().then(cached => {
+    const feedItems = catalogueFeedItems(feed, cached);
+
+    if (cached && cached.rows.length) {
+      setCatalogueStatus({ fetchedAt: new Date(cached.fetchedAt), refreshing: true });
+      refreshCatalogue(cached, feedItems, onRefresh);
+      return cached.rows;
+    }
+
+    return fetchCatalogue(feedItems)
+      .then(entry => entry.rows)
+      .catch(err => {
+        console.warn("Sheet unavailable, falling back to snapshot", err);
+        return Promise.all([loadSnapshot(SNAPSHOT_URL, { fallback: true }), feedItems])
+          .then(([rows, items]) => mergeFeedRows(rows, items));
+      });
+  });
+}
+
+// feed === null → flödesposterna från cachen (äldre cache utan dem → inga)
+function catalogueFeedItems(feed, cached) {
+  if (feed !== null) return loadFeedItems(feed);
+  return Promise.resolve((cached && cached.feedItems) || []);
+}
+
+// Föreslagna serier och sökindexet (search.js) byggs om för varje ny katalog
+function normalizeRows(rows) {
+  catalogueRows = rows;
+  const episodes = rows.map(normalizeEpisode).filter(r => r.Title);
+  detectSuggestedSeries(episodes);
+  buildSearchIndex(episodes);
+  return episodes;
+}
+
+// Ark + RSS-flöde hämtas parallellt; det sammanslagna resultatet cachas,
+// flödesposterna också (för sidor som inte hämtar flödet själva)
+function fetchCatalogue(feedItemsPromise) {
+  return Promise.all([loadCsv(SHEET_CSV_URL), feedItemsPromise]).then(([sheetRows, feedItems]) => {
+    if (!isUsableSheet(sheetRows)) {
+      throw new Error("Sheet CSV is empty or malformed");
+    }
+
+    const rows = mergeFeedRows(sheetRows, feedItems);
+    const entry = { rows, feedItems, fetchedAt: Date.now() };
+    writeCachedCatalogue(entry);
+    setCatalogueStatus({ fetchedAt: new Date(entry.fetchedAt), refreshing: false, offline: false });
+    return entry;
+  });
+}
+
+function refreshCatalogue(cached, feedItems, onRefresh) {
+  fetchCatalogue(feedItems)
+    .then(entry => {
+      const changed = JSON.stringify(entry.rows) !== JSON.stringify(cached.rows);
+      if (changed && onRefresh) onRefresh(normalizeRows(entry.rows));
+    })
+    .catch(err => {
+      console.warn("Background refresh failed, using cached data", err);
+      setCatalogueStatus({ refreshing: false, offline: true });
+    });
+}
+
+function loadCsv(url) {
+  return new Promise((resolve, reject) => {
+    Papa.parse(url, {
+      download: true,
+      header: true,
+      skipEmptyLines: true,
+      complete: res => resolve(res.data),
+      error: reject
+    });
+  });
+}
+
+// Minst en rad med titel — annars är det t.ex. en HTML-felsida eller tomt ark
+function isUsableSheet(rows) {
+  return Array.isArray(rows) && rows.some(r => r && String(r["Title"] || "").trim());
+}
+
+// ---------- Snapshot (episodes.json) ----------
+
+function loadSnapshot(url, { fallback = false } = {}) {
+  return fetch(url, { cache: "no-cache" })
+    .then(res => {
+      if (!res.ok) throw new Error(`Snapshot ${url}: HTTP ${res.status}`);
+      return res.json();
+    })
+    .then(snapshot => {
+      if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+        throw new Error(`Snapshot ${url}: not a ${SNAPSHOT_FORMAT} file`);
+      }
+      if (snapshot.version > SNAPSHOT_VERSION) {
+        throw new Error(`Snapshot ${url}: unsupported version ${snapshot.version}`);
+      }
+      // Platshållaren i repot (generatedAt: null) har aldrig fyllts i
+      if (!snapshot.generatedAt) {
+        throw new Error(`Snapshot ${url} has not been generated yet — run node tools/snapshot.js`);
+      }
+      if (!isUsableSheet(snapshot.rows)) {
+        throw new Error(`Snapshot ${url}: no episodes`);
+      }
+
+      setCatalogueStatus({
+        source: "snapshot",
+        sourceUrl: url,
+        fallback,
+        fetchedAt: parseDate(snapshot.generatedAt),
+        refreshing: false,
+        offline: false
+      });
+      return snapshot.rows;
+    });
+}
+
+function buildSnapshot(rows) {
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    generatedAt: new Date().toISOString(),
+    rows
+  };
+}
+
+// Konsol-hjälpare: spara aktuell katalog som episodes.json (commit:a bredvid index.html)
+function downloadSnapshot() {
+  const json = JSON.stringify(buildSnapshot(catalogueRows), null, 1);
+  downloadText(SNAPSHOT_URL, json, "application/json");
+}
+
+// ---------- Catalogue cache (IndexedDB) ----------
+
+function openCatalogueDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(CATALOGUE_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(CATALOGUE_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Resolves null when there is no cache (or IndexedDB is unavailable)
+function readCachedCatalogue() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+
+  return openCatalogueDb()
+    .then(db => new Promise((resolve, reject) => {
+      const req = db.transaction(CATALOGUE_STORE).objectStore(CATALOGUE_STORE).get(CATALOGUE_KEY);
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror = () => reject(req.error);
+    }))
+    .catch(err => {
+      console.warn("Could not read cached catalogue", err);
+      return null;
+    });
+}
+
+function writeCachedCatalogue(entry) {
+  if (typeof indexedDB === "undefined") return Promise.resolve();
+
+  return openCatalogueDb()
+    .then(db => new Promise((resolve, reject) => {
+      const tx = db.transaction(CATALOGUE_STORE, "readwrite");
+      tx.objectStore(CATALOGUE_STORE).put(entry, CATALOGUE_KEY);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    }))
+    .catch(err => console.warn("Could not cache catalogue", err));
+}
+
+function setCatalogueStatus(patch) {
+  Object.assign(catalogueStatus, patch);
+  renderCatalogueStatus();
+  if (typeof document !== "undefined") {
+    document.dispatchEvent(new CustomEvent("cataloguestatuschange", { detail: { ...catalogueStatus } }));
+  }
+}
+
+// "Data as of …" — any element with id="dataAsOf"
+function renderCatalogueStatus() {
+  const el = typeof document !== "undefined" && document.getElementById("dataAsOf");
+  if (!el) return;
+
+  const { source, sourceUrl, fallback, fetchedAt, refreshing, offline } = catalogueStatus;
+
+  const when = fetchedAt
+    ? fetchedAt.toLocaleString("en-US", {
+        year: "numeric", month: "short", day: "numeric", hour: "2-digit", minute: "2-digit"
+      })
+    : "unknown date";
+
+  if (source === "snapshot") {
+    el.textContent = fallback
+      ? `Showing snapshot data as of ${when} — the live tagging sheet could not be loaded.`
+      : `Showing snapshot data from ${sourceUrl} (as of ${when}).`;
+    el.classList.add("is-offline");
+    return;
+  }
+
+  if (!fetchedAt) return;
+
+  const suffix =
+    refreshing ? " · checking for updates…" :
+    offline    ? " · sheet unavailable, showing saved copy" :
+    "";
+
+  el.textContent = `Data as of ${when}${suffix}`;
+  el.classList.toggle("is-offline", offline);
+}
+
+// ---------- Normalization ----------
+
+function normalizeEpisode(r) {
+  return {
+    GUID: (r["GUID"] || "").trim(),
+    Episode: parseEpisode(r["Episode"]),
+    Title: (r["Title"] || "").trim(),
+    PublishDate: parseDate(r["Publish Date"]),
+    Description: (r["Description"] || "").trim(),
+    AudioURL: (r["Audio URL"] || "").trim(),
+    Region: parseTags(r["Region"]),
+    Period: parseTags(r["Period"]),
+    Topic: parseTags(r["Topic"]),
+    Series: parseTags(r["Series"]),
+    Duration: parseDuration(r["Duration"]),
+    EpisodeType: (r["Episode Type"] || "").trim().toLowerCase(),
+    AwaitingTags: Boolean(r["Awaiting Tags"]),
+    SuggestedSeries: []
+  };
+}
+
+// ---------- Filters ----------
+
+// filters[param]          included values (Set)
+// filters.exclude[param]  excluded values (Set)
+// filters.modes[param]    "any" (default) | "all" — how included values combine
+// filters.published       { preset, from, to } — preset key or "YYYY-MM-DD" bounds
+// filters.episodes        { min, max } — episode numbers (null = open)
+function createFilters() {
+  const filters = {
+    q: "",
+    exclude: {},
+    modes: {},
+    published: { preset: "", from: "", to: "" },
+    episodes: { min: null, max: null }
+  };
+  FACETS.forEach(f => {
+    filters[f.param] = new Set();
+    filters.exclude[f.param] = new Set();
+    filters.modes[f.param] = "any";
+  });
+  return filters;
+}
+
+function getFacet(key) {
+  return FACETS.find(f => f.key === key);
+}
+
+// Set i filters som hör till en dropdown ("year" → filters.years osv.)
+function facetSet(filters, key) {
+  return filters[getFacet(key).param];
+}
+
+function facetExcludeSet(filters, key) {
+  return filters.exclude[getFacet(key).param];
+}
+
+function facetMode(filters, key) {
+  return filters.modes[getFacet(key).param];
+}
+
+function setFacetMode(filters, key, mode) {
+  filters.modes[getFacet(key).param] = mode === "all" ? "all" : "any";
+}
+
+// "include" | "exclude" | "off"
+function facetOptionState(filters, key, value) {
+  if (facetSet(filters, key).has(value)) return "include";
+  if (facetExcludeSet(filters, key).has(value)) return "exclude";
+  return "off";
+}
+
+function setFacetOption(filters, key, value, optionState) {
+  facetSet(filters, key).delete(value);
+  facetExcludeSet(filters, key).delete(value);
+  if (optionState === "include") facetSet(filters, key).add(value);
+  if (optionState === "exclude") facetExcludeSet(filters, key).add(value);
+}
+
+// Klick på en option: off → include → exclude → off
+function cycleFacetOption(filters, key, value) {
+  const next = { off: "include", include: "exclude", exclude: "off" }[facetOptionState(filters, key, value)];
+  setFacetOption(filters, key, value, next);
+  return next;
+}
+
+function isFacetActive(filters, key) {
+  return facetSet(filters, key).size > 0 || facetExcludeSet(filters, key).size > 0;
+}
+
+// ---------- Date / episode ranges ----------
+
+// Relativa intervall räknas om vid varje körning, så delade länkar följer med tiden
+const DATE_PRESETS = [
+  { key: "30d", label: "Last 30 days", from: now => new Date(now.getFullYear(), now.getMonth(), now.getDate() - 30) },
+  { key: "6m", label: "Last 6 months", from: now => new Date(now.getFullYear(), now.getMonth() - 6, now.getDate()) },
+  // Säsongen räknas från 1 september — nya serier drar igång på hösten
+  { key: "season", label: "This season", from: now => new Date(now.getMonth() >= 8 ? now.getFullYear() : now.getFullYear() - 1, 8, 1) },
+  { key: "year", label: "This year", from: now => new Date(now.getFullYear(), 0, 1) }
+];
+
+// filters.published → { from: Date|null, to: Date|null } ("to" inkluderar hela dagen)
+function publishedRange(filters, now = new Date()) {
+  const { preset, from, to } = filters.published;
+  const p = DATE_PRESETS.find(d => d.key === preset);
+  if (p) return { from: p.from(now), to: null };
+
+  const end = parseIsoDate(to);
+  return {
+    from: parseIsoDate(from),
+    to: end ? new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1) : null
+  };
+}
+
+function isPublishedActive(filters) {
+  const { preset, from, to } = filters.published;
+  return Boolean(preset || from || to);
+}
+
+function isEpisodeRangeActive(filters) {
+  return filters.episodes.min != null || filters.episodes.max != null;
+}
+
+function clearPublished(filters) {
+  filters.published = { preset: "", from: "", to: "" };
+}
+
+function clearEpisodeRange(filters) {
+  filters.episodes = { min: null, max: null };
+}
+
+// "2024-03-01" → lokal midnatt (new Date("2024-03-01") vore UTC)
+function parseIsoDate(v) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(v || "");
+  return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+}
+
+function formatIsoDate(d) {
+  const pad = n => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// min/max → "300..400", "300..", "..400" (samma syntax som ep: i sökningen)
+function formatRange(min, max) {
+  if (min != null && min === max) return String(min);
+  return `${min != null ? min : ""}..${max != null ? max : ""}`;
+}
+
+function publishedLabel(filters) {
+  const { preset, from, to } = filters.published;
+  const p = DATE_PRESETS.find(d => d.key === preset);
+  if (p) return p.label;
+  if (from && to) return `${from} – ${to}`;
+  return from ? `from ${from}` : `until ${to}`;
+}
+
+function episodeRangeLabel(filters) {
+  const { min, max } = filters.episodes;
+  if (min != null && max != null) return min === max ? `#${min}` : `#${min}–${max}`;
+  return min != null ? `#${min} and later` : `up to #${max}`;
+}
+
+function episodeMatchesRanges(r, filters) {
+  if (isPublishedActive(filters)) {
+    const { from, to } = publishedRange(filters);
+    if (!r.PublishDate) return false;
+    if (from && r.PublishDate < from) return false;
+    if (to && r.PublishDate >= to) return false;
+  }
+
+  if (isEpisodeRangeActive(filters)) {
+    const { min, max } = filters.episodes;
+    if (r.Episode == null) return false;
+    if (min != null && r.Episode < min) return false;
+    if (max != null && r.Episode > max) return false;
+  }
+
+  return true;
+}
+
+// Värden ett avsnitt har för en facet — "No … assigned" när taggar saknas
+function facetValues(r, key) {
+  if (key === "year") {
+    return r.PublishDate ? [String(r.PublishDate.getFullYear())] : [];
+  }
+  if (key === "status") {
+    return [listenStatusInfo(listenStatus(r)).label];
+  }
+  if (key === "series") {
+    const names = episodeSeries(r);
+    return names.length ? names : [getFacet(key).none];
+  }
+  if (key === "library") {
+    const values = libraryFacetValues(r);
+    return values.length ? values : [getFacet(key).none];
+  }
+  const facet = getFacet(key);
+  const tags = r[facet.field] || [];
+  return tags.length ? tags : [facet.none];
+}
+
+function clearFilters(filters) {
+  filters.q = "";
+  FACETS.forEach(f => {
+    filters[f.param].clear();
+    filters.exclude[f.param].clear();
+    filters.modes[f.param] = "any";
+  });
+  clearPublished(filters);
+  clearEpisodeRange(filters);
+}
+
+function hasActiveFilters(filters) {
+  return Boolean(filters.q) ||
+    isPublishedActive(filters) ||
+    isEpisodeRangeActive(filters) ||
+    FACETS.some(f => isFacetActive(filters, f.key));
+}
+
+// Aktiva val i UI-ordning, för chips: [{ key, label, value, exclude }]
+// key är en facet, "published" eller "episodes" (se removeFilterEntry)
+function activeFilterEntries(filters) {
+  const out = [];
+  if (isPublishedActive(filters)) {
+    out.push({ key: "published", label: "Published", value: publishedLabel(filters), exclude: false });
+  }
+  if (isEpisodeRangeActive(filters)) {
+    out.push({ key: "episodes", label: "Episodes", value: episodeRangeLabel(filters), exclude: false });
+  }
+  FACETS.forEach(({ key, label }) => {
+    facetSet(filters, key).forEach(value => out.push({ key, label, value, exclude: false }));
+    facetExcludeSet(filters, key).forEach(value => out.push({ key, label, value, exclude: true }));
+  });
+  return out;
+}
+
+function removeFilterEntry(filters, { key, value }) {
+  if (key === "published") clearPublished(filters);
+  else if (key === "episodes") clearEpisodeRange(filters);
+  else setFacetOption(filters, key, value, "off");
+}
+
+function episodeHaystack(r) {
+  return `${r.Title} ${r.Description} ${r.Period} ${r.Region} ${r.Topic} ${r.Series} ${libraryNote(r)}`.toLowerCase();
+}
+
+// skipKey: ignore one facet (used when counting options for that facet)
+// filters.q is a search query, see query.js
+function episodeMatchesFilters(r, filters, skipKey = null) {
+  if (filters.q && !matchQuery(compileQuery(filters.q).ast, r)) return false;
+  if (!episodeMatchesRanges(r, filters)) return false;
+
+  return FACETS.every(f => {
+    if (f.key === skipKey) return true;
+
+    const include = filters[f.param];
+    const exclude = filters.exclude[f.param];
+    if (!include.size && !exclude.size) return true;
+
+    const values = facetValues(r, f.key);
+    if (exclude.size && values.some(v => exclude.has(v))) return false;
+    if (!include.size) return true;
+
+    return filters.modes[f.param] === "all"
+      ? [...include].every(v => values.includes(v))
+      : values.some(v => include.has(v));
+  });
+}
+
+function filterEpisodes(rows, filters) {
+  return rows.filter(r => episodeMatchesFilters(r, filters));
+}
+
+// Alla värden per facet i raderna → { year: Set, period: Set, … }
+function collectFacetValues(rows) {
+  const out = {};
+  FACETS.forEach(f => { out[f.key] = new Set(); });
+
+  rows.forEach(r => {
+    FACETS.forEach(f => facetValues(r, f.key).forEach(v => out[f.key].add(v)));
+  });
+
+  return out;
+}
+
+// Antal per värde om man väljer det: alla andra filter gäller, facettens egna
+// val ignoreras → { year: Map(värde → antal), period: Map, … }
+function facetCounts(rows, filters) {
+  const out = {};
+  FACETS.forEach(f => {
+    const counts = new Map();
+    rows.forEach(r => {
+      if (!episodeMatchesFilters(r, filters, f.key)) return;
+      facetValues(r, f.key).forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    });
+    out[f.key] = counts;
+  });
+  return out;
+}
+
+// Dropdown-ordning: år nyast först, period efter prefix, resten alfabetiskt
+function sortFacetValues(key, values) {
+  const arr = [...values];
+  if (key === "year") return arr.sort((a, b) => Number(b) - Number(a));
+  if (key === "period") return sortWithNoneLast(arr);
+  if (key === "status") {
+    const order = LISTEN_STATUSES.map(s => s.label);
+    return arr.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+  }
+  if (key === "library") {
+    // Favoriter, betyg högst först, anteckning, "Not in my library" sist
+    const rank = v => (v === LIBRARY_FACET_VALUES.favourite ? 0
+      : v.startsWith("Rated") ? 6 - (v.match(/★/g) || []).length
+      : v === LIBRARY_FACET_VALUES.note ? 7 : 8);
+    return arr.sort((a, b) => rank(a) - rank(b));
+  }
+  return sortAlphaNoneLast(arr);
+}
+
+// ---------- URL state ----------
+
+// Parametrar som inte är filter men ska överleva updateUrlFromState
+function baseUrlParams() {
+  const current = new URLSearchParams(window.location.search);
+  const params = new URLSearchParams();
+  ["source", "feed"].forEach(key => {
+    if (current.has(key)) params.set(key, current.get(key));
+  });
+  return params;
+}
+
+function filtersFromParams(params, filters) {
+  if (params.has("q")) {
+    filters.q = params.get("q").trim();   // skiftläge kvar: "OR" är ett nyckelord
+  }
+
+  // periods=a,b  not-periods=c  periods-mode=all
+  FACETS.forEach(f => {
+    if (params.has(f.param)) {
+      params.get(f.param).split(",").forEach(v => filters[f.param].add(v));
+    }
+    if (params.has(`not-${f.param}`)) {
+      params.get(`not-${f.param}`).split(",").forEach(v => filters.exclude[f.param].add(v));
+    }
+    if (params.get(`${f.param}-mode`) === "all") {
+      filters.modes[f.param] = "all";
+    }
+  });
+
+  // date=30d  eller  from=2024-01-01&to=2024-06-30
+  if (DATE_PRESETS.some(d => d.key === params.get("date"))) {
+    filters.published.preset = params.get("date");
+  } else {
+    if (parseIsoDate(params.get("from"))) filters.published.from = params.get("from");
+    if (parseIsoDate(params.get("to"))) filters.published.to = params.get("to");
+  }
+
+  // ep=300..400  ep=300..  ep=..50  ep=12
+  const epRange = params.has("ep") ? parseRange(params.get("ep")) : null;
+  if (epRange) filters.episodes = { min: epRange.min, max: epRange.max };
+}
+
+function filtersToParams(filters, params = new URLSearchParams()) {
+  if (filters.q) params.set("q", filters.q);
+
+  FACETS.forEach(f => {
+    const set = filters[f.param];
+    const exclude = filters.exclude[f.param];
+    if (set.size) params.set(f.param, [...set].join(","));
+    if (exclude.size) params.set(`not-${f.param}`, [...exclude].join(","));
+    if (filters.modes[f.param] === "all") params.set(`${f.param}-mode`, "all");
+  });
+
+  const { preset, from, to } = filters.published;
+  if (preset) params.set("date", preset);
+  if (from) params.set("from", from);
+  if (to) params.set("to", to);
+  if (isEpisodeRangeActive(filters)) {
+    params.set("ep", formatRange(filters.episodes.min, filters.episodes.max));
+  }
+
+  return params;
+}
+
+// ---------- Browser history ----------
+// Filter-, sök- och grupperingsändringar blir egna steg, så Back ångrar det
+// senaste valet. Ren sökrute-skrivning inom SEARCH_COALESCE_MS slås ihop till
+// ett steg; sortering och liknande skriver över det aktuella steget.
+
+const SEARCH_COALESCE_MS = 1500;
+
+const urlHistory = {
+  started: false,     // första skrivningen efter sidladdning ersätter
+  restoring: false,   // popstate: ersätt, förstör inte framåt-historiken
+  lastSearch: 0,      // tid för senaste sökrute-steget
+  search: null        // location.search som vi senast skrev
+};
+
+// Det som skiljer två steg åt: filter (+ sökning) och gruppering
+function historyKey(params, withSearch = true) {
+  const filters = createFilters();
+  filtersFromParams(params, filters);
+  if (!withSearch) filters.q = "";
+  const key = filtersToParams(filters);
+  if (params.has("group")) key.set("group", params.get("group"));
+  key.sort();
+  return key.toString();
+}
+
+// Ersätter updateUrlFromState:s replaceState — pushar när det är ett nytt steg
+function writeUrlState(params) {
+  const url = `${location.pathname}?${params.toString()}`;
+  const current = new URLSearchParams(location.search);
+  const replace = !urlHistory.started || urlHistory.restoring;
+  urlHistory.started = true;
+
+  if (replace || historyKey(params) === historyKey(current)) {
+    history.replaceState(history.state, "", url);
+  } else if (historyKey(params, false) === historyKey(current, false)) {
+    // Bara sökningen ändrad: ett steg per skrivpass
+    const now = Date.now();
+    if (now - urlHistory.lastSearch < SEARCH_COALESCE_MS) history.replaceState(history.state, "", url);
+    else history.pushState({}, "", url);
+    urlHistory.lastSearch = now;
+  } else {
+    history.pushState({}, "", url);
+    urlHistory.lastSearch = 0;
+  }
+
+  urlHistory.search = location.search;
+}
+
+// popstate → apply(params) med sidans egen återställning. Hash-ändringar
+// (#ep-123) ger också popstate men samma search — ignoreras.
+function restoreUrlState(apply) {
+  if (location.search === urlHistory.search) return;
+  urlHistory.restoring = true;
+  try {
+    apply(new URLSearchParams(location.search));
+  } finally {
+    urlHistory.restoring = false;
+    urlHistory.search = location.search;
+    urlHistory.lastSearch = 0;
+  }
+}
+
+// ---------- Offline app shell ----------
+// sw.js cachar sidorna/skripten så att explorern fungerar utan nät
+if (typeof navigator !== "undefined" && "serviceWorker" in navigator) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("sw.js").catch(err =>
+      console.warn("Service worker registration failed", err)
+    );
+  });
+}
+
+// ---------- Utils ----------
+function debounce(fn, wait=120) {
+  let t; return (...args) => { clearTimeout(t); t = setTimeout(() => fn(...args), wait); };
+}
+
+function parseEpisode(v) {
+  if (v == null) return null;
+  const s = String(v).trim();
+  const m = /^(\d+)/.exec(s);
+  return m ? Number(m[1]) : null;
+}
+
+function parseDate(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+// itunes:duration — "3725", "62:05" eller "1:02:05" → sekunder
+function parseDuration(v) {
+  if (v == null || v === "") return null;
+  const parts = String(v).trim().split(":").map(Number);
+  if (parts.some(isNaN)) return null;
+  return parts.reduce((total, n) => total * 60 + n, 0);
+}
+
+function formatDuration(seconds) {
+  if (!seconds) return "";
+  const h = Math.floor(seconds / 3600);
+  const m = Math.round((seconds % 3600) / 60);
+  return h ? `${h} h ${m} min` : `${m} min`;
+}
+
+function parseTags(v) {
+  if (!v) return [];
+  return String(v)
+    .split(",")
+    .map(x => x.trim())   // ⭐ behåll prefix!
+    .filter(Boolean);
+}
+
+function stripPrefix(v) {
+  return v.replace(/^\d+\.\s*/, "");
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;"
+  })[c]);
+}
+
+function sortWithNoneLast(arr) {
+  return arr.sort((a, b) => {
+    const aIsNone = a.startsWith("No ");
+    const bIsNone = b.startsWith("No ");
+
+    // "No … assigned" sist
+    if (aIsNone && !bIsNone) return 1;
+    if (!aIsNone && bIsNone) return -1;
+
+    // Hämta prefixnummer
+    const aNum = parseInt(a);
+    const bNum = parseInt(b);
+
+    // Om båda har nummer → sortera numeriskt ASC
+    if (!isNaN(aNum) && !isNaN(bNum)) return aNum - bNum;
+
+    // Om bara en har nummer → nummer först
+    if (!isNaN(aNum) && isNaN(bNum)) return -1;
+    if (isNaN(aNum) && !isNaN(bNum)) return 1;
+
+    // Fallback → alfabetiskt
+    return a.localeCompare(b);
+  });
+}
+
+function sortAlphaNoneLast(arr) {
+  return arr.sort((a, b) => {
+    const aIsNone = a.startsWith("No ");
+    const bIsNone = b.startsWith("No ");
+    if (aIsNone && !bIsNone) return 1;
+    if (!aIsNone && bIsNone) return -1;
+
+    return a.localeCompare(b);
+  });
+}
+
+function periodSortValue(v) {
+  const n = parseInt(v);
+  return isNaN(n) ? 9999 : n;   // lägg icke-numrerade sist
+}
+
+// Sparar text som fil (export av snapshot, bibliotek, kö)
+function downloadText(filename, text, type) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(new Blob([text], { type }));
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
@@ -0,0 +1,127 @@
+/**
+ * TRIH podcast feed (RSS) ingestion
+ * - Parses the official feed: guid, title, description, pubDate, enclosure,
+ *   itunes:duration, itunes:episodeType, itunes:episode
+ * - Merges feed items into the sheet rows on GUID (see mergeFeedRows)
+ *
+ * Used by episodes.js. Works on raw sheet-shaped rows, so the merged result
+ * goes through normalizeEpisode() and the IndexedDB cache like any sheet row.
+ */
+
+// Feed merged with the sheet on each catalogue refresh (episodes.js).
+// Off until the official feed (https://feeds.megaphone.fm/GLT4787413333) is
+// confirmed to send CORS headers — without them every refresh would download
+// the whole feed only to fail. ?feed=<url> sets one per page (local files, a
+// proxy), see feedUrl().
+const RSS_FEED_URL = "";
+
+// Avsnittstyper som blir egna rader när de saknas i arket (inte trailers)
+const FEED_LISTED_TYPES = ["full", "bonus"];
+
+// ---------- Loading ----------
+
+// ?feed=<url> i adressen, annars det publika flödet
+function feedUrl() {
+  return new URLSearchParams(window.location.search).get("feed") || RSS_FEED_URL;
+}
+
+// Resolves [] when there is no url or the feed cannot be loaded —
+// the feed is an extra, never a reason for the page to fail.
+function loadFeedItems(url) {
+  if (!url) return Promise.resolve([]);
+
+  return fetch(url)
+    .then(res => {
+      if (!res.ok) throw new Error(`Feed ${url}: HTTP ${res.status}`);
+      return res.text();
+    })
+    .then(parseFeed)
+    .catch(err => {
+      console.warn("Feed unavailable, using sheet data only", err);
+      return [];
+    });
+}
+
+// ---------- Parsing ----------
+
+function parseFeed(xmlText) {
+  const doc = new DOMParser().parseFromString(xmlText, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) {
+    throw new Error("Feed is not valid XML");
+  }
+
+  return Array.from(doc.getElementsByTagName("item")).map(item => {
+    const enclosure = item.getElementsByTagName("enclosure")[0];
+
+    return {
+      guid: childText(item, "guid"),
+      title: childText(item, "title"),
+      description: stripTags(childText(item, "description")),
+      pubDate: childText(item, "pubDate"),
+      audioUrl: enclosure ? (enclosure.getAttribute("url") || "") : "",
+      duration: parseDuration(childText(item, "itunes:duration")),
+      episodeType: childText(item, "itunes:episodeType").toLowerCase() || "full",
+      episode: childText(item, "itunes:episode")
+    };
+  }).filter(it => it.guid);
+}
+
+function childText(el, tagName) {
+  const child = el.getElementsByTagName(tagName)[0];
+  return child ? child.textContent.trim() : "";
+}
+
+// Beskrivningar i flödet är ofta HTML
+function stripTags(html) {
+  if (!html) return "";
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  return (doc.body.textContent || "").replace(/\s+/g, " ").trim();
+}
+
+// ---------- Merge ----------
+
+// Sheet rows win for everything the community edits (tags, Series) and for
+// text already in the sheet; the feed fills gaps and adds Duration/Episode Type.
+// Feed items without a sheet row become new rows flagged "Awaiting Tags".
+function mergeFeedRows(sheetRows, feedItems) {
+  if (!feedItems.length) return sheetRows;
+
+  const byGuid = new Map(feedItems.map(it => [it.guid, it]));
+  const seen = new Set();
+
+  const merged = sheetRows.map(r => {
+    const guid = String(r["GUID"] || "").trim();
+    const it = guid && byGuid.get(guid);
+    if (!it) return r;
+
+    seen.add(guid);
+    return {
+      ...r,
+      "Title": r["Title"] || it.title,
+      "Publish Date": r["Publish Date"] || it.pubDate,
+      "Description": r["Description"] || it.description,
+      "Audio URL": r["Audio URL"] || it.audioUrl,
+      "Episode": r["Episode"] || it.episode,
+      "Duration": it.duration != null ? String(it.duration) : (r["Duration"] || ""),
+      "Episode Type": it.episodeType
+    };
+  });
+
+  feedItems.forEach(it => {
+    if (seen.has(it.guid) || !FEED_LISTED_TYPES.includes(it.episodeType)) return;
+
+    merged.push({
+      "GUID": it.guid,
+      "Episode": it.episode || it.title,
+      "Title": it.title,
+      "Publish Date": it.pubDate,
+      "Description": it.description,
+      "Audio URL": it.audioUrl,
+      "Duration": it.duration != null ? String(it.duration) : "",
+      "Episode Type": it.episodeType,
+      "Awaiting Tags": "yes"
+    });
+  });
+
+  return merged;
+}
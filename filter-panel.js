@@ -0,0 +1,620 @@
+/**
+ * Facet filter panels (dropdowns under the Year/Period/Region/Topic/Series pills)
+ * Shared by index.html and stats.html.
+ * - Tri-state options: click cycles include → exclude → off
+ * - Per-option counts: episodes you would get by picking the value, with every
+ *   other filter applied (the facet's own picks are ignored). Zero = dimmed,
+ *   never removed.
+ * - Type-to-filter box, "Select all shown" / "Clear", sort by count or the
+ *   facet's usual order
+ * - Match any / match all toggle per facet (not Year/Status: one value per episode)
+ * - "Dates & Ep." panel: publish-date range with presets + episode-number range
+ * - Keyboard / screen readers: each pill opens a non-modal dialog; facet
+ *   values are a multi-select listbox with roving focus (arrows, Home/End,
+ *   Space/Enter) and type-ahead. Tab stays inside the open panel, Esc closes
+ *   it and returns focus to the pill.
+ *
+ * The panels only edit a filters object (see createFilters in episodes.js)
+ * and call onChange; the page decides what to re-render.
+ */
+
+const FACET_OPTION_TITLES = {
+  include: "Included — click to exclude",
+  exclude: "Excluded — click to clear",
+  off: "Click to include"
+};
+
+const TYPEAHEAD_RESET_MS = 700;
+
+// listbox → { text, timer } för type-ahead
+const typeahead = new WeakMap();
+
+// Facetter som sorteras efter antal (resten: sortFacetValues-ordning)
+const facetSortByCount = new Set();
+
+function filterPanelId(key) {
+  return `filterPanel-${key}`;
+}
+
+// Bygger om alla paneler i #filterDropdownHost
+function buildFacetPanels(rows, filters, onChange) {
+  const valuesByKey = collectFacetValues(rows);
+
+  // Gamla paneler kan ligga kvar i en pill-wrapper om en dropdown var öppen
+  document.querySelectorAll(".filter-dropdown").forEach(p => p.remove());
+  document.querySelectorAll(".pill-button.active").forEach(p => p.classList.remove("active"));
+
+  const host = document.getElementById("filterDropdownHost");
+  host.innerHTML = "";
+
+  FACETS.forEach(({ key }) => {
+    const { label } = getFacet(key);
+    const panel = document.createElement("div");
+    panel.className = "filter-dropdown";
+    panel.dataset.filter = key;
+    setPanelRole(panel, key, `${label} filter`);
+
+    if (!getFacet(key).single) panel.appendChild(buildFacetModeToggle(key, filters, onChange));
+    panel.appendChild(buildFacetTools(key, filters, onChange));
+
+    const inner = document.createElement("div");
+    inner.className = "filter-dropdown-inner";
+    inner.id = key + "Options";
+    inner.setAttribute("role", "listbox");
+    inner.setAttribute("aria-multiselectable", "true");
+    inner.setAttribute("aria-label", label);
+    panel.appendChild(inner);
+
+    const empty = document.createElement("p");
+    empty.className = "facet-no-match";
+    empty.textContent = "No matching values";
+    empty.hidden = true;
+    panel.appendChild(empty);
+
+    renderFacetOptions(inner, key, sortFacetValues(key, valuesByKey[key]), filters, onChange);
+    host.appendChild(panel);
+  });
+
+  host.appendChild(buildRangePanel(filters, onChange));
+  refreshFacetPanels(rows, filters, onChange);
+}
+
+// Kaskad: antal per värde efter varje filtrering. `rows` = alla avsnitt —
+// listorna krymper inte, värden utan träffar dimmas.
+function refreshFacetPanels(rows, filters, onChange) {
+  const valuesByKey = collectFacetValues(rows);
+  const counts = facetCounts(rows, filters);
+
+  FACETS.forEach(({ key }) => {
+    const inner = document.getElementById(key + "Options");
+    if (!inner) return;
+
+    // Nya värden (t.ex. första favoriten, arket uppdaterat) → bygg om listan
+    const shown = new Set(Array.from(inner.querySelectorAll(".filter-option"), o => o.dataset.value));
+    const values = valuesByKey[key];
+    if (shown.size !== values.size || [...values].some(v => !shown.has(v))) {
+      renderFacetOptions(inner, key, sortFacetValues(key, values), filters, onChange);
+    }
+
+    syncFacetCounts(inner, key, counts[key], filters);
+  });
+}
+
+function setPanelRole(panel, key, label) {
+  panel.id = filterPanelId(key);
+  panel.tabIndex = -1;
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-label", label);
+}
+
+function renderFacetOptions(inner, key, values, filters, onChange) {
+  // Kaskaden bygger om listan medan den används — behåll fokus och markör
+  const current = inner.querySelector('[tabindex="0"]');
+  const currentValue = current ? current.dataset.value : null;
+  const hadFocus = inner.contains(document.activeElement);
+
+  inner.innerHTML = "";
+
+  values.forEach(v => {
+    const opt = document.createElement("div");
+    opt.className = "filter-option";
+    opt.setAttribute("role", "option");
+    opt.tabIndex = -1;
+    opt.dataset.value = v;
+    opt.dataset.label = stripPrefix(v) + (key === "series" && isSuggestedSeries(v) ? ", suggested" : "");
+    opt.dataset.order = inner.children.length;
+
+    const check = document.createElement("span");
+    check.className = "filter-check";
+    check.setAttribute("aria-hidden", "true");
+
+    const text = document.createElement("span");
+    text.className = "filter-option-label";
+    text.textContent = stripPrefix(v);
+
+    opt.addEventListener("click", () => {
+      setRovingOption(inner, opt);
+      cycleFacetOption(filters, key, v);
+      syncFacetOption(opt, facetOptionState(filters, key, v));
+      onChange();
+    });
+
+    const count = document.createElement("span");
+    count.className = "filter-count";
+    count.setAttribute("aria-hidden", "true");
+
+    opt.appendChild(check);
+    opt.appendChild(text);
+    if (key === "series" && isSuggestedSeries(v)) opt.insertAdjacentHTML("beforeend", suggestedBadgeHtml());
+    opt.appendChild(count);
+    syncFacetOption(opt, facetOptionState(filters, key, v));
+    inner.appendChild(opt);
+  });
+
+  applyFacetSearch(inner);
+  const options = listboxOptions(inner);
+  const keep = options.find(o => o.dataset.value === currentValue) || options[0];
+  if (keep) setRovingOption(inner, keep, hadFocus);
+}
+
+// Sökruta, "Select all shown" / "Clear" och sorteringsknappen
+function buildFacetTools(key, filters, onChange) {
+  const { label } = getFacet(key);
+  const box = document.createElement("div");
+  box.className = "facet-tools";
+  box.innerHTML = `
+    <input type="search" class="facet-search" placeholder="Filter ${escapeHtml(label.toLowerCase())}…"
+           aria-label="Filter ${escapeHtml(label.toLowerCase())} values" aria-controls="${key}Options" autocomplete="off" />
+    <div class="facet-actions">
+      <button type="button" class="facet-action" data-action="all">Select all shown</button>
+      <button type="button" class="facet-action" data-action="clear">Clear</button>
+      <button type="button" class="facet-action facet-sort" data-action="sort">Sort by count</button>
+    </div>
+  `;
+
+  const inner = () => document.getElementById(key + "Options");
+  const search = box.querySelector(".facet-search");
+
+  search.addEventListener("input", () => applyFacetSearch(inner()));
+
+  // Pil ned → in i listan
+  search.addEventListener("keydown", e => {
+    if (e.key !== "ArrowDown") return;
+    const first = listboxOptions(inner())[0];
+    if (!first) return;
+    e.preventDefault();
+    setRovingOption(inner(), first, true);
+  });
+
+  box.querySelector('[data-action="all"]').addEventListener("click", () => {
+    const options = listboxOptions(inner());
+    if (!options.length) return;
+    options.forEach(opt => {
+      setFacetOption(filters, key, opt.dataset.value, "include");
+      syncFacetOption(opt, "include");
+    });
+    onChange();
+  });
+
+  box.querySelector('[data-action="clear"]').addEventListener("click", () => {
+    if (!isFacetActive(filters, key)) return;
+    facetSet(filters, key).clear();
+    facetExcludeSet(filters, key).clear();
+    inner().querySelectorAll(".filter-option").forEach(opt => syncFacetOption(opt, "off"));
+    onChange();
+  });
+
+  const sort = box.querySelector(".facet-sort");
+  sort.setAttribute("aria-pressed", facetSortByCount.has(key) ? "true" : "false");
+  sort.addEventListener("click", () => {
+    if (facetSortByCount.has(key)) facetSortByCount.delete(key);
+    else facetSortByCount.add(key);
+    sort.setAttribute("aria-pressed", facetSortByCount.has(key) ? "true" : "false");
+    orderFacetOptions(inner(), key);
+  });
+
+  return box;
+}
+
+// Döljer värden som inte matchar sökrutan
+function applyFacetSearch(inner) {
+  const panel = inner.closest(".filter-dropdown");
+  const search = panel && panel.querySelector(".facet-search");
+  const needle = foldText(search ? search.value.trim() : "");
+
+  const all = Array.from(inner.querySelectorAll(".filter-option"));
+  all.forEach(opt => { opt.hidden = Boolean(needle) && !foldText(opt.dataset.label).includes(needle); });
+
+  const visible = listboxOptions(inner);
+  const noMatch = panel && panel.querySelector(".facet-no-match");
+  if (noMatch) noMatch.hidden = visible.length > 0 || !all.length;
+
+  // Markören får inte hamna på en dold rad
+  const current = inner.querySelector('[tabindex="0"]');
+  if (visible.length && (!current || current.hidden)) setRovingOption(inner, visible[0]);
+}
+
+function syncFacetCounts(inner, key, counts, filters) {
+  inner.querySelectorAll(".filter-option").forEach(opt => {
+    const n = counts.get(opt.dataset.value) || 0;
+    opt.dataset.count = n;
+    opt.querySelector(".filter-count").textContent = n;
+    opt.classList.toggle("is-empty", n === 0);
+    syncFacetOption(opt, facetOptionState(filters, key, opt.dataset.value));
+  });
+  if (facetSortByCount.has(key)) orderFacetOptions(inner, key);
+}
+
+// Flest först (lika → vanlig ordning), eller tillbaka till vanlig ordning
+function orderFacetOptions(inner, key) {
+  const options = Array.from(inner.querySelectorAll(".filter-option"));
+  const order = o => Number(o.dataset.order);
+  const sorted = options.slice().sort(facetSortByCount.has(key)
+    ? (a, b) => Number(b.dataset.count || 0) - Number(a.dataset.count || 0) || order(a) - order(b)
+    : (a, b) => order(a) - order(b));
+  if (sorted.every((o, i) => o === options[i])) return;
+
+  // Flytt av noder tappar fokus — sätt tillbaka det
+  const focused = inner.contains(document.activeElement) ? document.activeElement : null;
+  sorted.forEach(o => inner.appendChild(o));
+  if (focused) focused.focus();
+}
+
+function buildFacetModeToggle(key, filters, onChange) {
+  const box = document.createElement("div");
+  box.className = "facet-mode";
+  box.setAttribute("role", "group");
+  box.setAttribute("aria-label", `Match ${getFacet(key).label.toLowerCase()}`);
+
+  [["any", "Match any"], ["all", "Match all"]].forEach(([mode, text]) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "facet-mode-btn";
+    btn.dataset.mode = mode;
+    btn.textContent = text;
+
+    btn.addEventListener("click", () => {
+      if (facetMode(filters, key) === mode) return;
+      setFacetMode(filters, key, mode);
+      syncFacetMode(box, mode);
+      onChange();
+    });
+
+    box.appendChild(btn);
+  });
+
+  syncFacetMode(box, facetMode(filters, key));
+  return box;
+}
+
+// Checkboxar + lägesknappar ← filters (URL-state, rensa, chip-borttagning)
+function syncFacetPanels(filters) {
+  FACETS.forEach(({ key }) => {
+    const panel = document.querySelector(`.filter-dropdown[data-filter="${key}"]`);
+    if (!panel) return;
+
+    panel.querySelectorAll(".filter-option").forEach(opt => {
+      syncFacetOption(opt, facetOptionState(filters, key, opt.dataset.value));
+    });
+
+    const modeBox = panel.querySelector(".facet-mode");
+    if (modeBox) syncFacetMode(modeBox, facetMode(filters, key));
+  });
+
+  const rangePanel = document.querySelector('.filter-dropdown[data-filter="range"]');
+  if (rangePanel) syncRangePanel(rangePanel, filters);
+}
+
+// Exkluderad = streck i rutan + överstruken text
+function syncFacetOption(opt, optionState) {
+  const count = opt.dataset.count;
+  opt.classList.toggle("is-included", optionState === "include");
+  opt.classList.toggle("is-excluded", optionState === "exclude");
+  opt.setAttribute("aria-selected", optionState === "include" ? "true" : "false");
+  opt.title = FACET_OPTION_TITLES[optionState];
+  opt.setAttribute("aria-label", opt.dataset.label +
+    (count != null ? `, ${count} episode${count === "1" ? "" : "s"}` : "") +
+    (optionState === "exclude" ? " (excluded)" : ""));
+}
+
+function syncFacetMode(box, mode) {
+  box.querySelectorAll(".facet-mode-btn").forEach(btn => {
+    const pressed = btn.dataset.mode === mode;
+    btn.classList.toggle("active", pressed);
+    btn.setAttribute("aria-pressed", pressed ? "true" : "false");
+  });
+}
+
+// ---------- Dates & episode numbers ----------
+
+function buildRangePanel(filters, onChange) {
+  const panel = document.createElement("div");
+  panel.className = "filter-dropdown range-panel";
+  panel.dataset.filter = "range";
+  setPanelRole(panel, "range", "Publish dates and episode numbers");
+
+  panel.innerHTML = `
+    <fieldset class="range-section">
+      <legend>Published</legend>
+      <div class="range-presets"></div>
+      <div class="range-fields">
+        <label>From <input type="date" name="from"></label>
+        <label>To <input type="date" name="to"></label>
+      </div>
+    </fieldset>
+    <fieldset class="range-section">
+      <legend>Episode number</legend>
+      <div class="range-fields">
+        <label>From <input type="number" name="epMin" min="0" inputmode="numeric"></label>
+        <label>To <input type="number" name="epMax" min="0" inputmode="numeric"></label>
+      </div>
+    </fieldset>
+  `;
+
+  const presets = panel.querySelector(".range-presets");
+  DATE_PRESETS.forEach(({ key, label }) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "range-preset-btn";
+    btn.dataset.preset = key;
+    btn.textContent = label;
+
+    btn.addEventListener("click", () => {
+      // Klick på aktivt preset stänger av det
+      const preset = filters.published.preset === key ? "" : key;
+      filters.published = { preset, from: "", to: "" };
+      syncRangePanel(panel, filters);
+      onChange();
+    });
+
+    presets.appendChild(btn);
+  });
+
+  const field = name => panel.querySelector(`input[name="${name}"]`);
+
+  ["from", "to"].forEach(name => {
+    field(name).addEventListener("change", () => {
+      filters.published = { preset: "", from: field("from").value, to: field("to").value };
+      syncRangePanel(panel, filters);
+      onChange();
+    });
+  });
+
+  ["epMin", "epMax"].forEach(name => {
+    field(name).addEventListener("change", () => {
+      const num = v => (/^\d+$/.test(v) ? Number(v) : null);
+      filters.episodes = { min: num(field("epMin").value), max: num(field("epMax").value) };
+      onChange();
+    });
+  });
+
+  syncRangePanel(panel, filters);
+  return panel;
+}
+
+// Preset visas som sina faktiska datum i from/to-fälten
+function syncRangePanel(panel, filters) {
+  const { preset, from, to } = filters.published;
+  const field = name => panel.querySelector(`input[name="${name}"]`);
+
+  if (preset) {
+    const range = publishedRange(filters);
+    field("from").value = formatIsoDate(range.from);
+    field("to").value = "";
+  } else {
+    field("from").value = from;
+    field("to").value = to;
+  }
+
+  const { min, max } = filters.episodes;
+  field("epMin").value = min != null ? min : "";
+  field("epMax").value = max != null ? max : "";
+
+  panel.querySelectorAll(".range-preset-btn").forEach(btn => {
+    const pressed = btn.dataset.preset === preset;
+    btn.classList.toggle("active", pressed);
+    btn.setAttribute("aria-pressed", pressed ? "true" : "false");
+  });
+}
+
+// ---------- Dropdowns: pill → panel ----------
+
+// Körs en gång per sida — panelerna slås upp vid öppning eftersom
+// buildFacetPanels kan bygga om dem (t.ex. när arket uppdaterats i bakgrunden)
+function wireFilterDropdowns() {
+  const host = document.getElementById("filterDropdownHost");
+
+  document.querySelectorAll(".pill-button").forEach(pill => {
+    pill.setAttribute("aria-haspopup", "dialog");
+    pill.setAttribute("aria-expanded", "false");
+    pill.setAttribute("aria-controls", filterPanelId(pill.dataset.filter));
+
+    pill.addEventListener("click", e => {
+      e.stopPropagation();
+      if (pill.classList.contains("active")) {
+        closeFilterDropdowns();
+        return;
+      }
+      openFilterDropdown(pill);
+    });
+
+    // Pil ned/upp på pillen öppnar också
+    pill.addEventListener("keydown", e => {
+      if (e.key !== "ArrowDown" && e.key !== "ArrowUp") return;
+      e.preventDefault();
+      openFilterDropdown(pill);
+    });
+  });
+
+  // Tillåt klick inne i panelen utan att stänga den
+  host.parentElement.addEventListener("click", e => {
+    if (e.target.closest(".filter-dropdown")) e.stopPropagation();
+  });
+
+  // Klick utanför → stäng alla
+  document.addEventListener("click", () => closeFilterDropdowns());
+
+  // Panelerna flyttas mellan host och pill-wrappers — delegera från föräldern
+  host.parentElement.addEventListener("keydown", e => {
+    const panel = e.target.closest(".filter-dropdown");
+    if (panel) handlePanelKeydown(e, panel);
+  });
+}
+
+function openFilterDropdown(pill) {
+  const panel = document.getElementById(filterPanelId(pill.dataset.filter));
+  if (!panel) return;
+
+  if (!pill.classList.contains("active")) {
+    closeFilterDropdowns();
+
+    pill.classList.add("active");
+    pill.setAttribute("aria-expanded", "true");
+    panel.classList.add("open");
+
+    // Flytta panelen in i samma wrapper som pillen, precis under den
+    const wrapper = pill.closest(".pill-wrapper") || pill.parentElement;
+    wrapper.appendChild(panel);
+    panel.style.position = "absolute";
+    panel.style.left = "0px";
+    panel.style.top = "100%";
+    panel.style.width = "max-content";
+  }
+
+  focusFilterPanel(panel);
+}
+
+// Stänger alla paneler (klick utanför, Esc). returnFocus → tillbaka till pillen.
+function closeFilterDropdowns(returnFocus = false) {
+  const host = document.getElementById("filterDropdownHost");
+  const active = document.querySelector(".pill-button.active");
+
+  document.querySelectorAll(".pill-button").forEach(p => {
+    p.classList.remove("active");
+    p.setAttribute("aria-expanded", "false");
+  });
+
+  // Flytta tillbaka panelerna till host när allt stängs
+  document.querySelectorAll(".filter-dropdown").forEach(p => {
+    p.classList.remove("open");
+    host.appendChild(p);
+    p.style.left = "";
+    p.style.top = "";
+    p.style.position = "";
+    p.style.width = "";
+  });
+
+  if (returnFocus && active) active.focus();
+}
+
+// Listan om den har värden, annars första kontrollen (lägesknappar, datumfält)
+function focusFilterPanel(panel) {
+  const listbox = panel.querySelector('[role="listbox"]');
+  const option = listbox && listbox.querySelector('[tabindex="0"]');
+  const target = option || panelFocusables(panel)[0] || panel;
+  target.focus();
+}
+
+function panelFocusables(panel) {
+  return Array.from(panel.querySelectorAll('button, input, select, [tabindex="0"]'))
+    .filter(el => !el.disabled && !el.hidden);
+}
+
+function handlePanelKeydown(e, panel) {
+  if (e.key === "Escape" && e.target.classList.contains("facet-search") && e.target.value) {
+    e.preventDefault();
+    e.target.value = "";
+    e.target.dispatchEvent(new Event("input"));
+    return;
+  }
+
+  if (e.key === "Escape") {
+    e.preventDefault();
+    closeFilterDropdowns(true);
+    return;
+  }
+
+  // Fokusfälla: Tab / Shift+Tab varvar inom panelen
+  if (e.key === "Tab") {
+    const items = panelFocusables(panel);
+    if (!items.length) return;
+    const i = items.indexOf(document.activeElement);
+    const next = e.shiftKey
+      ? (i <= 0 ? items[items.length - 1] : null)
+      : (i === items.length - 1 || i < 0 ? items[0] : null);
+    if (next) {
+      e.preventDefault();
+      next.focus();
+    }
+    return;
+  }
+
+  const opt = e.target.closest('[role="option"]');
+  if (opt) handleListboxKeydown(e, opt.parentElement, opt);
+}
+
+// ---------- Listbox: roving focus + type-ahead ----------
+
+// Synliga rader (sökrutan döljer resten)
+function listboxOptions(listbox) {
+  return Array.from(listbox.querySelectorAll('[role="option"]')).filter(o => !o.hidden);
+}
+
+function setRovingOption(listbox, opt, focus = false) {
+  listboxOptions(listbox).forEach(o => { o.tabIndex = o === opt ? 0 : -1; });
+  if (focus) {
+    opt.focus();
+    opt.scrollIntoView({ block: "nearest" });
+  }
+}
+
+function handleListboxKeydown(e, listbox, opt) {
+  const options = listboxOptions(listbox);
+  const i = options.indexOf(opt);
+  const move = target => {
+    e.preventDefault();
+    if (target) setRovingOption(listbox, target, true);
+  };
+
+  switch (e.key) {
+    case "ArrowDown": return move(options[i + 1]);
+    case "ArrowUp": {
+      if (i > 0) return move(options[i - 1]);
+      const search = listbox.closest(".filter-dropdown").querySelector(".facet-search");
+      e.preventDefault();
+      if (search) search.focus();
+      return;
+    }
+    case "Home": return move(options[0]);
+    case "End": return move(options[options.length - 1]);
+    case " ":
+    case "Enter":
+      e.preventDefault();
+      opt.click();
+      return;
+  }
+
+  if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+    move(typeaheadMatch(listbox, options, i, e.key));
+  }
+}
+
+// Skriv början av ett namn → hoppa dit; samma bokstav igen → nästa träff
+function typeaheadMatch(listbox, options, from, char) {
+  const state = typeahead.get(listbox) || { text: "", timer: null };
+  clearTimeout(state.timer);
+  state.text += foldText(char);
+  state.timer = setTimeout(() => { state.text = ""; }, TYPEAHEAD_RESET_MS);
+  typeahead.set(listbox, state);
+
+  const repeated = [...state.text].every(c => c === state.text[0]);
+  const needle = repeated ? state.text[0] : state.text;
+  // Ny sökning börjar efter aktuell rad; ett längre ord får matcha den
+  const start = repeated ? from + 1 : from;
+
+  for (let n = 0; n < options.length; n++) {
+    const o = options[(start + n) % options.length];
+    if (foldText(o.dataset.label).startsWith(needle)) return o;
+  }
+  return null;
+}
@@ -0,0 +1,252 @@
+/**
+ * Keyboard shortcuts for the explorer
+ * - /          focus search
+ * - j / k      next / previous episode card (builds lazy groups on the way)
+ * - o / Enter  open or close the current card
+ * - g d|p|r|t|s  group by Date, Period, Region, Topic, Series
+ * - Esc        close dropdowns / the cheat sheet, leave the search box
+ * - ?          cheat sheet
+ * Ignored while typing in a field (except Esc) and with Ctrl / Cmd / Alt.
+ */
+
+const SHORTCUT_PREFIX_MS = 1500;   // hur länge "g" väntar på nästa tangent
+
+const SHORTCUT_GROUPS = { d: "date", p: "period", r: "region", t: "topic", s: "series" };
+
+const SHORTCUTS = [
+  { keys: ["/"], label: "Focus search" },
+  { keys: ["j"], label: "Next episode" },
+  { keys: ["k"], label: "Previous episode" },
+  { keys: ["o", "Enter"], label: "Open / close episode" },
+  { keys: ["g", "d"], label: "Group by date", chord: true },
+  { keys: ["g", "p"], label: "Group by period", chord: true },
+  { keys: ["g", "r"], label: "Group by region", chord: true },
+  { keys: ["g", "t"], label: "Group by topic", chord: true },
+  { keys: ["g", "s"], label: "Group by series", chord: true },
+  { keys: ["Esc"], label: "Close dropdowns / leave search" },
+  { keys: ["?"], label: "Show this help" }
+];
+
+const keyboard = { current: null, prefix: null, prefixTimer: null, returnFocus: null };
+
+function isTypingTarget(el) {
+  if (!el) return false;
+  if (el.isContentEditable) return true;
+  const tag = el.tagName;
+  if (tag === "TEXTAREA" || tag === "SELECT") return true;
+  if (tag !== "INPUT") return false;
+  return !["button", "checkbox", "radio", "range", "submit", "reset"].includes(el.type);
+}
+
+// ---------- Card cursor ----------
+
+function setCurrentCard(card) {
+  if (keyboard.current) keyboard.current.classList.remove("is-current");
+  keyboard.current = card;
+  if (!card) return;
+
+  card.classList.add("is-current");
+  const summary = card.querySelector("summary");
+  (summary || card).focus({ preventScroll: true });
+  card.scrollIntoView({ block: "nearest" });
+}
+
+// Startpunkt utan markör: första kortet som syns i fönstret
+function firstVisibleCard() {
+  const cards = Array.from(document.querySelectorAll("#list .episode-card"));
+  return cards.find(c => c.getBoundingClientRect().bottom > 0 && c.getBoundingClientRect().top < window.innerHeight) || null;
+}
+
+function moveCard(step) {
+  let from = keyboard.current && keyboard.current.isConnected ? keyboard.current : null;
+
+  // Fokus i ett kort (t.ex. efter klick) vinner över den gamla markören
+  const focused = document.activeElement && document.activeElement.closest && document.activeElement.closest("#list .episode-card");
+  if (focused) from = focused;
+
+  if (!from) {
+    const visible = firstVisibleCard();
+    // Utan markör börjar både j och k uppifrån — k ska inte bygga hela listan
+    setCurrentCard(visible || adjacentEpisodeCard(null, 1));
+    return;
+  }
+
+  const next = adjacentEpisodeCard(from, step);
+  if (next) setCurrentCard(next);
+}
+
+function toggleCurrentCard() {
+  const card = keyboard.current;
+  if (!card || !card.isConnected) return false;
+  card.open = !card.open;
+  return true;
+}
+
+// ---------- Group-by ----------
+
+function startPrefix(key) {
+  clearTimeout(keyboard.prefixTimer);
+  keyboard.prefix = key;
+  keyboard.prefixTimer = setTimeout(() => { keyboard.prefix = null; }, SHORTCUT_PREFIX_MS);
+}
+
+function selectGroupShortcut(letter) {
+  const group = SHORTCUT_GROUPS[letter];
+  const pill = group && document.querySelector(`.group-pill[data-group="${group}"]`);
+  if (!pill) return false;
+  pill.click();
+  return true;
+}
+
+// ---------- Cheat sheet ----------
+
+function shortcutKeysHtml(s) {
+  const keys = s.keys.map(k => `<kbd>${escapeHtml(k)}</kbd>`);
+  return s.chord ? keys.join(" then ") : keys.join(" or ");
+}
+
+function renderShortcutHelp() {
+  const overlay = document.createElement("div");
+  overlay.className = "shortcut-overlay";
+  overlay.id = "shortcutHelp";
+  overlay.hidden = true;
+  overlay.innerHTML = `
+    <div class="shortcut-dialog" role="dialog" aria-modal="true" aria-labelledby="shortcutHelpTitle">
+      <div class="shortcut-header">
+        <h2 id="shortcutHelpTitle">⌨️ Keyboard shortcuts</h2>
+        <button type="button" class="shortcut-close" aria-label="Close">✕</button>
+      </div>
+      <dl class="shortcut-list">
+        ${SHORTCUTS.map(s => `<dt>${shortcutKeysHtml(s)}</dt><dd>${escapeHtml(s.label)}</dd>`).join("")}
+      </dl>
+    </div>
+  `;
+
+  overlay.querySelector(".shortcut-close").addEventListener("click", closeShortcutHelp);
+  // Klick på bakgrunden stänger
+  overlay.addEventListener("click", e => { if (e.target === overlay) closeShortcutHelp(); });
+  // Håll Tab inne i dialogen — stängknappen är enda fokuserbara elementet
+  overlay.addEventListener("keydown", e => {
+    if (e.key !== "Tab") return;
+    e.preventDefault();
+    overlay.querySelector(".shortcut-close").focus();
+  });
+
+  document.body.appendChild(overlay);
+  return overlay;
+}
+
+function isShortcutHelpOpen() {
+  const overlay = document.getElementById("shortcutHelp");
+  return Boolean(overlay && !overlay.hidden);
+}
+
+function openShortcutHelp() {
+  const overlay = document.getElementById("shortcutHelp") || renderShortcutHelp();
+  keyboard.returnFocus = document.activeElement;
+  overlay.hidden = false;
+  overlay.querySelector(".shortcut-close").focus();
+}
+
+function closeShortcutHelp() {
+  const overlay = document.getElementById("shortcutHelp");
+  if (!overlay || overlay.hidden) return;
+  overlay.hidden = true;
+  if (keyboard.returnFocus && keyboard.returnFocus.isConnected) keyboard.returnFocus.focus();
+  keyboard.returnFocus = null;
+}
+
+// ---------- Esc ----------
+
+function handleEscape() {
+  if (isShortcutHelpOpen()) {
+    closeShortcutHelp();
+    return true;
+  }
+
+  const active = document.querySelector(".pill-button.active");
+  if (active) {
+    closeFilterDropdowns(true);
+    return true;
+  }
+
+  if (isTypingTarget(document.activeElement)) {
+    document.activeElement.blur();
+    return true;
+  }
+  return false;
+}
+
+// ---------- Wiring ----------
+
+function handleShortcut(e) {
+  if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+
+  if (e.key === "Escape") {
+    if (handleEscape()) e.preventDefault();
+    return;
+  }
+
+  if (isTypingTarget(e.target)) return;
+
+  // Dialogen öppen: bara Esc / ? gäller
+  if (isShortcutHelpOpen()) {
+    if (e.key === "?") {
+      e.preventDefault();
+      closeShortcutHelp();
+    }
+    return;
+  }
+
+  if (keyboard.prefix === "g") {
+    keyboard.prefix = null;
+    clearTimeout(keyboard.prefixTimer);
+    if (selectGroupShortcut(e.key)) e.preventDefault();
+    return;
+  }
+
+  switch (e.key) {
+    case "/":
+      e.preventDefault();
+      document.getElementById("q").focus();
+      break;
+    case "j":
+    case "k":
+      e.preventDefault();
+      moveCard(e.key === "j" ? 1 : -1);
+      break;
+    case "o":
+      if (toggleCurrentCard()) e.preventDefault();
+      break;
+    case "Enter":
+      // På summary/knappar/länkar sköter webbläsaren Enter själv
+      if (e.target !== document.body && e.target !== keyboard.current) return;
+      if (toggleCurrentCard()) e.preventDefault();
+      break;
+    case "g":
+      startPrefix("g");
+      break;
+    case "?":
+      e.preventDefault();
+      openShortcutHelp();
+      break;
+  }
+}
+
+function wireKeyboardShortcuts() {
+  document.addEventListener("keydown", handleShortcut);
+
+  // Klick på ett kort flyttar markören dit, så j/k fortsätter därifrån
+  document.getElementById("list").addEventListener("click", e => {
+    const card = e.target.closest(".episode-card");
+    if (!card || card === keyboard.current) return;
+    if (keyboard.current) keyboard.current.classList.remove("is-current");
+    keyboard.current = card;
+    card.classList.add("is-current");
+  });
+
+  const hint = document.getElementById("shortcutHint");
+  if (hint) hint.addEventListener("click", openShortcutHelp);
+}
+
+document.addEventListener("DOMContentLoaded", wireKeyboardShortcuts);
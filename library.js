@@ -0,0 +1,229 @@
+/**
+ * "My library": favourites, 1–5 ratings and notes per episode
+ * - Keyed by GUID, stored in localStorage (like listening.js)
+ * - "My library" facet via facetValues(r, "library")
+ * - Notes are searchable from #q (unscoped words/phrases and note:)
+ * - Export / import as JSON — includes listening status, so the whole
+ *   personal library can move between browsers
+ */
+
+const LIBRARY_KEY = "trih-library";
+const LIBRARY_FORMAT = "trih-library";
+const LIBRARY_VERSION = 1;
+
+const LIBRARY_FACET_VALUES = {
+  favourite: "Favourites",
+  rated: n => `Rated ${"★".repeat(n)}`,
+  note: "Has a note"
+};
+
+// GUID → { fav: true, rating: 1–5, note: "…" } (tomma fält sparas inte)
+let library = readStore(LIBRARY_KEY, {});
+
+function libraryEntry(r) {
+  return (r.GUID && library[r.GUID]) || {};
+}
+
+// patch: { fav?, rating?, note? } — falsy värden tar bort fältet
+function updateLibraryEntry(r, patch) {
+  if (!r.GUID) return;
+
+  const entry = { ...libraryEntry(r), ...patch };
+  Object.keys(entry).forEach(k => {
+    if (!entry[k]) delete entry[k];
+  });
+
+  if (Object.keys(entry).length) {
+    library[r.GUID] = entry;
+  } else {
+    delete library[r.GUID];
+  }
+  writeStore(LIBRARY_KEY, library);
+  document.dispatchEvent(new CustomEvent("librarychange", { detail: { episode: r } }));
+}
+
+// Värden för "My library"-facetten; tom lista → facetValues ger "Not in my library"
+function libraryFacetValues(r) {
+  const { fav, rating, note } = libraryEntry(r);
+  const out = [];
+  if (fav) out.push(LIBRARY_FACET_VALUES.favourite);
+  if (rating) out.push(LIBRARY_FACET_VALUES.rated(rating));
+  if (note) out.push(LIBRARY_FACET_VALUES.note);
+  return out;
+}
+
+function libraryNote(r) {
+  return libraryEntry(r).note || "";
+}
+
+// Sökord i anteckningen: varje ord måste finnas (som ord eller ordbörjan)
+function libraryNoteMatches(r, value) {
+  const note = libraryNote(r);
+  if (!note) return false;
+  const tokens = tokenizeText(note);
+  return searchWords(value).every(w => tokens.some(t => t === w || t.startsWith(w)));
+}
+
+// ---------- Card controls ----------
+
+function renderLibraryControls(r, onChange) {
+  const box = document.createElement("div");
+  box.className = "library-controls";
+  if (!r.GUID) return box;
+
+  const entry = libraryEntry(r);
+
+  box.innerHTML = `
+    <button type="button" class="library-fav" aria-pressed="false"></button>
+    <div class="library-rating" role="group" aria-label="Your rating"></div>
+    <textarea class="library-note" rows="2" placeholder="Your note…" aria-label="Your note"></textarea>
+  `;
+
+  const fav = box.querySelector(".library-fav");
+  const syncFav = on => {
+    fav.textContent = on ? "★ Favourite" : "☆ Favourite";
+    fav.setAttribute("aria-pressed", on ? "true" : "false");
+    fav.classList.toggle("active", on);
+  };
+  fav.addEventListener("click", () => {
+    const on = !libraryEntry(r).fav;
+    updateLibraryEntry(r, { fav: on });
+    syncFav(on);
+    if (onChange) onChange();
+  });
+  syncFav(Boolean(entry.fav));
+
+  // Klick på nuvarande betyg tar bort det
+  const rating = box.querySelector(".library-rating");
+  const syncRating = n => {
+    rating.querySelectorAll("button").forEach(b => {
+      const value = Number(b.dataset.rating);
+      b.textContent = value <= n ? "★" : "☆";
+      b.setAttribute("aria-pressed", value === n ? "true" : "false");
+    });
+  };
+  for (let n = 1; n <= 5; n++) {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.className = "library-star";
+    b.dataset.rating = n;
+    b.setAttribute("aria-label", `${n} of 5`);
+    b.addEventListener("click", () => {
+      const next = libraryEntry(r).rating === n ? 0 : n;
+      updateLibraryEntry(r, { rating: next });
+      syncRating(next);
+      if (onChange) onChange();
+    });
+    rating.appendChild(b);
+  }
+  syncRating(entry.rating || 0);
+
+  // Sparas när fältet lämnas, så korten inte ritas om mitt i skrivandet
+  const note = box.querySelector(".library-note");
+  note.value = entry.note || "";
+  note.addEventListener("change", () => {
+    updateLibraryEntry(r, { note: note.value.trim() });
+    if (onChange) onChange();
+  });
+
+  return box;
+}
+
+// ---------- Export / import ----------
+
+function exportLibrary() {
+  const episodes = {};
+  Object.entries(library).forEach(([guid, entry]) => { episodes[guid] = { ...entry }; });
+  Object.entries(listening).forEach(([guid, status]) => {
+    episodes[guid] = { ...(episodes[guid] || {}), status };
+  });
+
+  const data = {
+    format: LIBRARY_FORMAT,
+    version: LIBRARY_VERSION,
+    exportedAt: new Date().toISOString(),
+    episodes
+  };
+
+  downloadText(`trih-library-${formatIsoDate(new Date())}.json`, JSON.stringify(data, null, 2), "application/json");
+}
+
+// Returnerar antalet importerade avsnitt; poster för samma GUID ersätts
+function importLibrary(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error("The file is not valid JSON.");
+  }
+  if (!data || data.format !== LIBRARY_FORMAT || typeof data.episodes !== "object") {
+    throw new Error("The file is not a TRIH Explorer library export.");
+  }
+  if (data.version > LIBRARY_VERSION) {
+    throw new Error("The file was made by a newer version of the Explorer.");
+  }
+
+  let count = 0;
+  Object.entries(data.episodes).forEach(([guid, e]) => {
+    if (!guid || !e || typeof e !== "object") return;
+
+    const entry = {};
+    if (e.fav) entry.fav = true;
+    if (Number.isInteger(e.rating) && e.rating >= 1 && e.rating <= 5) entry.rating = e.rating;
+    if (typeof e.note === "string" && e.note.trim()) entry.note = e.note.trim();
+
+    if (Object.keys(entry).length) {
+      library[guid] = entry;
+    } else {
+      delete library[guid];
+    }
+    if (LISTEN_STATUSES.some(s => s.key === e.status && s.key !== "unplayed")) {
+      listening[guid] = e.status;
+    } else {
+      delete listening[guid];
+    }
+    count++;
+  });
+
+  writeStore(LIBRARY_KEY, library);
+  writeStore(LISTENING_KEY, listening);
+  document.dispatchEvent(new CustomEvent("librarychange", { detail: {} }));
+  document.dispatchEvent(new CustomEvent("listeningchange", { detail: {} }));
+  return count;
+}
+
+// #libraryExport / #libraryImport (finns bara där sidan har verktygen)
+function wireLibraryTools() {
+  const exportBtn = document.getElementById("libraryExport");
+  const importInput = document.getElementById("libraryImport");
+  const status = document.getElementById("libraryStatus");
+  if (!exportBtn || !importInput) return;
+
+  const say = text => { if (status) status.textContent = text; };
+
+  exportBtn.addEventListener("click", () => {
+    exportLibrary();
+    say(`Exported ${new Set([...Object.keys(library), ...Object.keys(listening)]).size} episodes.`);
+  });
+
+  importInput.addEventListener("change", () => {
+    const file = importInput.files[0];
+    importInput.value = "";
+    if (!file) return;
+
+    file.text()
+      .then(text => {
+        const count = importLibrary(text);
+        say(`Imported ${count} episode${count === 1 ? "" : "s"}.`);
+      })
+      .catch(err => say(`⚠️ ${err.message}`));
+  });
+}
+
+document.addEventListener("DOMContentLoaded", wireLibraryTools);
+
+window.addEventListener("storage", e => {
+  if (e.key !== LIBRARY_KEY) return;
+  library = readStore(LIBRARY_KEY, {});
+  document.dispatchEvent(new CustomEvent("librarychange", { detail: {} }));
+});
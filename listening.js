@@ -0,0 +1,94 @@
+/**
+ * Listening status per episode: unplayed / in progress / listened
+ * - Keyed by GUID, stored in localStorage (this browser only)
+ * - Read through facetValues(r, "status") so the Status facet, chips and
+ *   URL state work like any other filter ("Not Status: Listened" hides heard episodes)
+ * - Other tabs pick up changes through the storage event
+ */
+
+const LISTENING_KEY = "trih-listening";
+
+const LISTEN_STATUSES = [
+  { key: "unplayed", label: "Unplayed", icon: "○" },
+  { key: "progress", label: "In progress", icon: "◐" },
+  { key: "listened", label: "Listened", icon: "●" }
+];
+
+// GUID → "progress" | "listened" (unplayed sparas inte)
+let listening = readStore(LISTENING_KEY, {});
+
+// Avsnitt utan GUID kan inte sparas — alltid "unplayed"
+function listenStatus(r) {
+  return (r.GUID && listening[r.GUID]) || "unplayed";
+}
+
+function listenStatusInfo(key) {
+  return LISTEN_STATUSES.find(s => s.key === key) || LISTEN_STATUSES[0];
+}
+
+function setListenStatus(r, key) {
+  if (!r.GUID) return;
+  if (key === "unplayed") {
+    delete listening[r.GUID];
+  } else {
+    listening[r.GUID] = key;
+  }
+  writeStore(LISTENING_KEY, listening);
+  document.dispatchEvent(new CustomEvent("listeningchange", { detail: { episode: r, status: key } }));
+}
+
+// { listened, progress, total } för en mängd avsnitt
+function listeningProgress(rows) {
+  const out = { listened: 0, progress: 0, total: rows.length };
+  rows.forEach(r => {
+    const s = listenStatus(r);
+    if (s !== "unplayed") out[s]++;
+  });
+  return out;
+}
+
+function listeningProgressLabel(rows) {
+  const { listened, total } = listeningProgress(rows);
+  return `${listened} of ${total} listened`;
+}
+
+// Knappgrupp för avsnittskortet; onChange(key) efter att status sparats
+function renderListenStatusControl(r, onChange) {
+  const box = document.createElement("div");
+  box.className = "listen-status";
+  box.setAttribute("role", "group");
+  box.setAttribute("aria-label", "Listening status");
+
+  if (!r.GUID) return box;
+
+  LISTEN_STATUSES.forEach(({ key, label, icon }) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "listen-status-btn";
+    btn.dataset.status = key;
+    btn.textContent = `${icon} ${label}`;
+    btn.addEventListener("click", () => {
+      setListenStatus(r, key);
+      syncListenStatusControl(box, key);
+      if (onChange) onChange(key);
+    });
+    box.appendChild(btn);
+  });
+
+  syncListenStatusControl(box, listenStatus(r));
+  return box;
+}
+
+function syncListenStatusControl(box, key) {
+  box.querySelectorAll(".listen-status-btn").forEach(btn => {
+    const pressed = btn.dataset.status === key;
+    btn.classList.toggle("active", pressed);
+    btn.setAttribute("aria-pressed", pressed ? "true" : "false");
+  });
+}
+
+window.addEventListener("storage", e => {
+  if (e.key !== LISTENING_KEY) return;
+  listening = readStore(LISTENING_KEY, {});
+  document.dispatchEvent(new CustomEvent("listeningchange", { detail: {} }));
+});
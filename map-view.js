@@ -0,0 +1,247 @@
+/**
+ * World map of episodes by Region (explorer group=map + card on stats.html)
+ * - Bundled, offline base map: world-map.json (Natural Earth 110m countries,
+ *   pre-projected to SVG paths — no map library, no tiles)
+ * - REGION_AREAS maps Region tags to countries; each country is shaded by
+ *   the episode count of the most specific tag covering it
+ *   ("Britain" wins over "Europe" for the United Kingdom)
+ * - Click (or Enter/Space) on an area toggles that tag via onToggle(tag)
+ * - Tags that cannot be placed are listed under the map
+ */
+
+const WORLD_MAP_URL = "world-map.json";
+
+// ---------- Region tags → countries (names as in world-map.json) ----------
+
+const MAP_AREAS = {
+  britishIsles: ["United Kingdom", "Ireland"],
+  scandinavia: ["Denmark", "Norway", "Sweden", "Finland", "Iceland"],
+  westernEurope: ["France", "Belgium", "Netherlands", "Luxembourg", "Germany", "Switzerland", "Austria"],
+  southernEurope: ["Portugal", "Spain", "Italy", "Greece", "Cyprus", "N. Cyprus", "Albania", "Macedonia",
+    "Kosovo", "Serbia", "Montenegro", "Bosnia and Herz.", "Croatia", "Slovenia"],
+  easternEurope: ["Poland", "Czechia", "Slovakia", "Hungary", "Romania", "Bulgaria", "Moldova", "Ukraine",
+    "Belarus", "Lithuania", "Latvia", "Estonia"],
+  russia: ["Russia"],
+  middleEast: ["Turkey", "Syria", "Lebanon", "Israel", "Palestine", "Jordan", "Iraq", "Iran", "Saudi Arabia",
+    "Kuwait", "Qatar", "United Arab Emirates", "Oman", "Yemen", "Egypt"],
+  northAfrica: ["Egypt", "Libya", "Tunisia", "Algeria", "Morocco", "W. Sahara", "Sudan"],
+  subSaharanAfrica: ["Mauritania", "Mali", "Niger", "Chad", "S. Sudan", "Eritrea", "Ethiopia", "Djibouti",
+    "Somalia", "Somaliland", "Senegal", "Gambia", "Guinea-Bissau", "Guinea", "Sierra Leone", "Liberia",
+    "Côte d'Ivoire", "Burkina Faso", "Ghana", "Togo", "Benin", "Nigeria", "Cameroon", "Central African Rep.",
+    "Eq. Guinea", "Gabon", "Congo", "Dem. Rep. Congo", "Uganda", "Kenya", "Rwanda", "Burundi", "Tanzania",
+    "Angola", "Zambia", "Malawi", "Mozambique", "Zimbabwe", "Namibia", "Botswana", "South Africa",
+    "Lesotho", "eSwatini", "Madagascar"],
+  caucasus: ["Georgia", "Armenia", "Azerbaijan"],
+  centralAsia: ["Kazakhstan", "Uzbekistan", "Turkmenistan", "Kyrgyzstan", "Tajikistan", "Afghanistan", "Mongolia"],
+  southAsia: ["India", "Pakistan", "Bangladesh", "Nepal", "Bhutan", "Sri Lanka"],
+  eastAsia: ["China", "Taiwan", "Japan", "North Korea", "South Korea"],
+  southeastAsia: ["Myanmar", "Thailand", "Laos", "Cambodia", "Vietnam", "Malaysia", "Brunei", "Indonesia",
+    "Philippines", "Timor-Leste"],
+  northAmerica: ["United States of America", "Canada", "Greenland", "Mexico"],
+  caribbean: ["Cuba", "Jamaica", "Haiti", "Dominican Rep.", "Puerto Rico", "Bahamas", "Trinidad and Tobago"],
+  centralAmerica: ["Guatemala", "Belize", "Honduras", "El Salvador", "Nicaragua", "Costa Rica", "Panama"],
+  southAmerica: ["Colombia", "Venezuela", "Guyana", "Suriname", "Ecuador", "Peru", "Brazil", "Bolivia",
+    "Paraguay", "Chile", "Argentina", "Uruguay", "Falkland Is."],
+  oceania: ["Australia", "New Zealand", "Papua New Guinea", "Solomon Is.", "Vanuatu", "New Caledonia", "Fiji"]
+};
+
+const mapAreas = (...keys) => keys.flatMap(k => MAP_AREAS[k]);
+
+// Nycklar jämförs utan skiftläge och inledande "The " (se regionCountries)
+const REGION_AREAS = {
+  "britain": ["United Kingdom"],
+  "england": ["United Kingdom"],
+  "scotland": ["United Kingdom"],
+  "wales": ["United Kingdom"],
+  "united kingdom": ["United Kingdom"],
+  "ireland": ["Ireland"],
+  "british isles": mapAreas("britishIsles"),
+  "france": ["France"],
+  "germany": ["Germany"],
+  "italy": ["Italy"],
+  "spain": ["Spain"],
+  "greece": ["Greece"],
+  "scandinavia": mapAreas("scandinavia"),
+  "western europe": mapAreas("britishIsles", "westernEurope", "scandinavia"),
+  "southern europe": mapAreas("southernEurope"),
+  "mediterranean": mapAreas("southernEurope", "northAfrica").concat(["Turkey", "Syria", "Lebanon", "Israel", "Palestine"]),
+  "eastern europe": mapAreas("easternEurope", "russia"),
+  "europe": mapAreas("britishIsles", "scandinavia", "westernEurope", "southernEurope", "easternEurope", "russia"),
+  "russia": mapAreas("russia"),
+  "middle east": mapAreas("middleEast"),
+  "near east": mapAreas("middleEast"),
+  "north africa": mapAreas("northAfrica"),
+  "egypt": ["Egypt"],
+  "sub-saharan africa": mapAreas("subSaharanAfrica"),
+  "africa": mapAreas("northAfrica", "subSaharanAfrica"),
+  "central asia": mapAreas("centralAsia", "caucasus"),
+  "south asia": mapAreas("southAsia"),
+  "india": ["India"],
+  "east asia": mapAreas("eastAsia"),
+  "china": ["China"],
+  "japan": ["Japan"],
+  "southeast asia": mapAreas("southeastAsia"),
+  "asia": mapAreas("caucasus", "centralAsia", "southAsia", "eastAsia", "southeastAsia"),
+  "north america": mapAreas("northAmerica"),
+  "usa": ["United States of America"],
+  "united states": ["United States of America"],
+  "america": ["United States of America"],
+  "caribbean": mapAreas("caribbean"),
+  "central america": mapAreas("centralAmerica"),
+  "latin america": mapAreas("centralAmerica", "caribbean", "southAmerica").concat(["Mexico"]),
+  "south america": mapAreas("southAmerica"),
+  "americas": mapAreas("northAmerica", "caribbean", "centralAmerica", "southAmerica"),
+  "australia": ["Australia"],
+  "oceania": mapAreas("oceania"),
+  "pacific": mapAreas("oceania")
+};
+
+function regionCountries(tag) {
+  const key = String(tag).trim().toLowerCase().replace(/^the\s+/, "");
+  return REGION_AREAS[key] || null;
+}
+
+// ---------- Loading ----------
+
+let worldMapPromise = null;
+
+function loadWorldMap() {
+  if (!worldMapPromise) {
+    worldMapPromise = fetch(WORLD_MAP_URL)
+      .then(res => {
+        if (!res.ok) throw new Error(`${WORLD_MAP_URL}: HTTP ${res.status}`);
+        return res.json();
+      })
+      .catch(err => {
+        worldMapPromise = null;   // försök igen vid nästa render
+        throw err;
+      });
+  }
+  return worldMapPromise;
+}
+
+// ---------- Rendering ----------
+
+// rows: redan filtrerade avsnitt. Kartan laddas asynkront; en senare render
+// på samma host — eller en annan vy i den — vinner över en som fortfarande väntar.
+function renderRegionMap(host, rows, filters, onToggle) {
+  const token = {};
+  host.__mapRender = token;
+
+  if (!host.querySelector(".region-map")) {
+    host.innerHTML = `<div class="region-map"><p class="region-map-status">Loading map…</p></div>`;
+  }
+  const box = host.querySelector(".region-map");
+  const current = () => host.__mapRender === token && box.isConnected;
+
+  return loadWorldMap()
+    .then(map => {
+      if (!current()) return;
+      drawRegionMap(host, map, rows, filters, onToggle);
+    })
+    .catch(err => {
+      console.error("World map failed to load", err);
+      if (!current()) return;
+      host.innerHTML = `<div class="region-map"><p class="region-map-status">The map could not be loaded.</p></div>`;
+    });
+}
+
+function drawRegionMap(host, map, rows, filters, onToggle) {
+  const counts = new Map();
+  rows.forEach(r => {
+    r.Region.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+
+  // Valda taggar ritas även när de saknar träffar
+  const tags = new Set([...counts.keys(), ...filters.regions, ...filters.exclude.regions]);
+  const placed = [...tags].filter(tag => regionCountries(tag));
+  const unplaced = [...tags].filter(tag => !regionCountries(tag) && counts.get(tag));
+
+  // Land → mest specifika tagg (minst antal länder) som täcker det
+  const owner = new Map();
+  placed
+    .sort((a, b) => regionCountries(b).length - regionCountries(a).length)
+    .forEach(tag => regionCountries(tag).forEach(c => owner.set(c, tag)));
+
+  const max = Math.max(1, ...placed.map(tag => counts.get(tag) || 0));
+
+  const svgNs = "http://www.w3.org/2000/svg";
+  const svg = document.createElementNS(svgNs, "svg");
+  svg.setAttribute("viewBox", map.viewBox);
+  svg.setAttribute("class", "region-map-svg");
+  svg.setAttribute("role", "group");
+  svg.setAttribute("aria-label", "World map of episodes by region");
+
+  // Ett <g> per tagg så att hela området markeras och klickas som en enhet
+  const groups = new Map();
+  const base = document.createElementNS(svgNs, "g");
+  base.setAttribute("class", "region-map-base");
+  svg.appendChild(base);
+
+  map.countries.forEach(c => {
+    const tag = owner.get(c.name);
+    const path = document.createElementNS(svgNs, "path");
+    path.setAttribute("d", c.d);
+
+    if (!tag) {
+      base.appendChild(path);
+      return;
+    }
+
+    if (!groups.has(tag)) {
+      const count = counts.get(tag) || 0;
+      const g = document.createElementNS(svgNs, "g");
+      const optionState = facetOptionState(filters, "region", tag);
+      g.setAttribute("class", `region-area is-${optionState}${count ? "" : " is-empty"}`);
+      g.setAttribute("tabindex", "0");
+      g.setAttribute("role", "button");
+      g.setAttribute("aria-pressed", optionState === "include" ? "true" : "false");
+      g.setAttribute("aria-label", `${tag}: ${count} episode${count === 1 ? "" : "s"}`);
+      g.style.fillOpacity = count ? (0.2 + 0.8 * count / max).toFixed(2) : "";
+
+      const title = document.createElementNS(svgNs, "title");
+      title.textContent = `${tag} — ${count} episode${count === 1 ? "" : "s"}`;
+      g.appendChild(title);
+
+      g.addEventListener("click", () => onToggle(tag));
+      g.addEventListener("keydown", e => {
+        if (e.key !== "Enter" && e.key !== " ") return;
+        e.preventDefault();
+        onToggle(tag);
+      });
+
+      groups.set(tag, g);
+      svg.appendChild(g);
+    }
+    groups.get(tag).appendChild(path);
+  });
+
+  const box = document.createElement("div");
+  box.className = "region-map";
+  box.appendChild(svg);
+
+  const legend = document.createElement("div");
+  legend.className = "region-map-legend";
+  legend.innerHTML = `
+    <span>Fewer</span><span class="region-map-scale" aria-hidden="true"></span><span>More (${max})</span>
+    <span class="region-map-tip">Click an area to filter by its region</span>
+  `;
+  box.appendChild(legend);
+
+  if (unplaced.length) {
+    const note = document.createElement("p");
+    note.className = "region-map-unplaced";
+    note.textContent = "Not on the map: " +
+      unplaced.sort().map(tag => `${tag} (${counts.get(tag)})`).join(", ");
+    box.appendChild(note);
+  }
+
+  host.innerHTML = "";
+  host.appendChild(box);
+}
+
+// Klick på ett område: av ↔ inkluderad (exkluderad → av)
+function toggleMapRegion(filters, tag) {
+  const next = facetOptionState(filters, "region", tag) === "off" ? "include" : "off";
+  setFacetOption(filters, "region", tag, next);
+}
@@ -0,0 +1,394 @@
+/**
+ * Mini-player: plays AudioURL in the page (HTML5 audio)
+ * - One <audio> for the whole page, in #miniPlayer outside #list, so it keeps
+ *   playing through filter, sort and group-by re-renders
+ * - Seek, −15 s / +30 s, playback speed, previous/next in the queue (queue.js)
+ * - Position per GUID in localStorage: reopening an episode resumes there
+ * - Listening status follows along: playing → In progress, finished → Listened
+ * - Media Session API: lock screen / headset / media keys
+ */
+
+const PLAYER_POSITIONS_KEY = "trih-positions";
+const PLAYER_PREFS_KEY = "trih-player";
+const PLAYER_RATES = [0.8, 1, 1.2, 1.5, 1.75, 2];
+const PLAYER_SKIP_BACK = 15;
+const PLAYER_SKIP_FORWARD = 30;
+const PLAYER_SAVE_EVERY = 5;      // sekunder mellan sparade positioner
+const PLAYER_DONE_MARGIN = 30;    // sparad position så nära slutet → börja om från början
+
+const player = {
+  audio: null,
+  episode: null,
+  lastSaved: 0,
+  onResume: null     // loadedmetadata-lyssnaren som hoppar till sparad position
+};
+
+// GUID → sekunder
+let playerPositions = readStore(PLAYER_POSITIONS_KEY, {});
+// { rate, guid } — guid = senast spelade, återställs (pausad) vid sidstart
+let playerPrefs = readStore(PLAYER_PREFS_KEY, {});
+
+function savedPosition(r) {
+  return (r.GUID && playerPositions[r.GUID]) || 0;
+}
+
+function savePosition(r, seconds) {
+  if (!r.GUID) return;
+  if (seconds > 0) {
+    playerPositions[r.GUID] = Math.floor(seconds);
+  } else {
+    delete playerPositions[r.GUID];
+  }
+  writeStore(PLAYER_POSITIONS_KEY, playerPositions);
+}
+
+// 75 → "1:15", 3725 → "1:02:05"
+function formatClock(seconds) {
+  const s = Math.max(0, Math.floor(seconds || 0));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const pad = n => String(n).padStart(2, "0");
+  return h ? `${h}:${pad(m)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`;
+}
+
+function isPlayingEpisode(r) {
+  return player.episode === r && player.audio && !player.audio.paused;
+}
+
+// ---------- Playback ----------
+
+// play() kan avvisas (t.ex. utan användargest) — spelaren visar då bara pausat
+function startAudio(audio) {
+  return audio.play().catch(err => console.warn("Playback failed", err));
+}
+
+// autoplay=false: ladda bara in (återställning vid sidstart)
+function playEpisode(r, autoplay = true) {
+  if (!r.AudioURL) return;
+  const audio = playerAudio();
+
+  if (player.episode === r) {
+    if (autoplay) startAudio(audio);
+    return;
+  }
+
+  if (player.episode) savePosition(player.episode, audio.currentTime);
+  // Byte innan metadata kommit → det förra avsnittets position får inte följa med
+  if (player.onResume) audio.removeEventListener("loadedmetadata", player.onResume);
+
+  player.episode = r;
+  player.lastSaved = 0;
+  audio.src = r.AudioURL;
+  audio.playbackRate = playerPrefs.rate || 1;
+
+  // Fortsätt där vi slutade (men inte sista sekunderna)
+  const resume = savedPosition(r);
+  player.onResume = () => {
+    player.onResume = null;
+    if (resume && (!audio.duration || resume < audio.duration - PLAYER_DONE_MARGIN)) {
+      audio.currentTime = resume;
+    }
+  };
+  audio.addEventListener("loadedmetadata", player.onResume, { once: true });
+
+  playerPrefs = { ...playerPrefs, guid: r.GUID };
+  writeStore(PLAYER_PREFS_KEY, playerPrefs);
+
+  showPlayer();
+  updateMediaSession();
+  if (autoplay) startAudio(audio);
+  dispatchPlayerChange();
+}
+
+function togglePlayback() {
+  const audio = player.audio;
+  if (!audio || !player.episode) return;
+  if (audio.paused) {
+    startAudio(audio);
+  } else {
+    audio.pause();
+  }
+}
+
+function seekPlayer(seconds) {
+  const audio = player.audio;
+  if (!audio || !player.episode) return;
+  const max = isFinite(audio.duration) ? audio.duration : Infinity;
+  audio.currentTime = Math.max(0, Math.min(max, seconds));
+}
+
+function skipPlayer(delta) {
+  if (player.audio) seekPlayer(player.audio.currentTime + delta);
+}
+
+function setPlaybackRate(rate) {
+  playerPrefs = { ...playerPrefs, rate };
+  writeStore(PLAYER_PREFS_KEY, playerPrefs);
+  if (player.audio) player.audio.playbackRate = rate;
+}
+
+// Granne i kön (-1 / +1), eller null när avsnittet inte är köat
+function queueNeighbour(step) {
+  if (!player.episode) return null;
+  const episodes = queuedEpisodes();
+  const i = episodes.indexOf(player.episode);
+  return i >= 0 ? episodes[i + step] || null : null;
+}
+
+function playQueueNeighbour(step) {
+  const next = queueNeighbour(step);
+  if (next) playEpisode(next);
+}
+
+function closePlayer() {
+  if (player.audio) {
+    if (player.episode) savePosition(player.episode, player.audio.currentTime);
+    player.audio.pause();
+    player.audio.removeAttribute("src");
+    player.audio.load();
+  }
+  player.episode = null;
+  playerPrefs = { ...playerPrefs, guid: undefined };
+  writeStore(PLAYER_PREFS_KEY, playerPrefs);
+
+  const box = document.getElementById("miniPlayer");
+  if (box) box.hidden = true;
+  document.body.classList.remove("has-player");
+  if ("mediaSession" in navigator) navigator.mediaSession.metadata = null;
+  dispatchPlayerChange();
+}
+
+function dispatchPlayerChange() {
+  document.dispatchEvent(new CustomEvent("playerchange", { detail: { episode: player.episode } }));
+}
+
+// Skapas första gången något spelas
+function playerAudio() {
+  if (player.audio) return player.audio;
+
+  const audio = new Audio();
+  audio.preload = "metadata";
+  player.audio = audio;
+
+  audio.addEventListener("play", () => {
+    const r = player.episode;
+    if (r && listenStatus(r) === "unplayed") setListenStatus(r, "progress");
+    syncPlayer();
+    dispatchPlayerChange();
+  });
+  audio.addEventListener("pause", () => {
+    if (player.episode) savePosition(player.episode, audio.currentTime);
+    syncPlayer();
+    dispatchPlayerChange();
+  });
+  audio.addEventListener("timeupdate", () => {
+    const r = player.episode;
+    if (!r) return;
+    if (Math.abs(audio.currentTime - player.lastSaved) >= PLAYER_SAVE_EVERY) {
+      player.lastSaved = audio.currentTime;
+      savePosition(r, audio.currentTime);
+    }
+    syncPlayerTime();
+  });
+  audio.addEventListener("loadedmetadata", syncPlayerTime);
+  audio.addEventListener("ended", () => {
+    const r = player.episode;
+    if (!r) return;
+    savePosition(r, 0);
+    setListenStatus(r, "listened");
+    const next = queueNeighbour(1);
+    if (next) playEpisode(next);
+  });
+  audio.addEventListener("error", () => {
+    if (!player.episode || !audio.getAttribute("src")) return;
+    const status = document.querySelector("#miniPlayer .player-status");
+    if (status) status.textContent = "⚠️ This episode could not be played.";
+  });
+
+  // Sista positionen när fliken stängs
+  window.addEventListener("pagehide", () => {
+    if (player.episode) savePosition(player.episode, audio.currentTime);
+  });
+
+  return audio;
+}
+
+// ---------- Mini-player UI (#miniPlayer) ----------
+
+function showPlayer() {
+  const box = document.getElementById("miniPlayer");
+  if (!box) return;
+  box.hidden = false;
+  document.body.classList.add("has-player");
+
+  const r = player.episode;
+  const title = `${r.Episode != null ? r.Episode + ". " : ""}${stripPrefix(r.Title)}`;
+  box.querySelector(".player-title").textContent = title;
+  box.querySelector(".player-title").title = title;
+  box.querySelector(".player-status").textContent = "";
+  box.querySelector(".player-seek").value = 0;
+  syncPlayer();
+  syncPlayerTime();
+}
+
+function syncPlayer() {
+  const box = document.getElementById("miniPlayer");
+  if (!box || !player.audio) return;
+
+  const playing = !player.audio.paused;
+  const toggle = box.querySelector(".player-toggle");
+  toggle.textContent = playing ? "❚❚" : "▶";
+  toggle.setAttribute("aria-label", playing ? "Pause" : "Play");
+
+  box.querySelector(".player-prev").disabled = !queueNeighbour(-1);
+  box.querySelector(".player-next").disabled = !queueNeighbour(1);
+  box.querySelector(".player-rate").value = String(playerPrefs.rate || 1);
+
+  if ("mediaSession" in navigator) {
+    navigator.mediaSession.playbackState = playing ? "playing" : "paused";
+  }
+}
+
+function syncPlayerTime() {
+  const box = document.getElementById("miniPlayer");
+  const audio = player.audio;
+  if (!box || !audio || !player.episode) return;
+
+  // Före metadata: längden från flödet, positionen vi ska fortsätta från
+  const duration = isFinite(audio.duration) ? audio.duration : (player.episode.Duration || 0);
+  const current = audio.readyState ? audio.currentTime : savedPosition(player.episode);
+
+  const seek = box.querySelector(".player-seek");
+  seek.max = Math.floor(duration) || 0;
+  if (!seek.matches(":active")) seek.value = Math.floor(current);
+  seek.setAttribute("aria-valuetext", `${formatClock(current)} of ${formatClock(duration)}`);
+  box.querySelector(".player-current").textContent = formatClock(current);
+  box.querySelector(".player-duration").textContent = formatClock(duration);
+
+  if ("mediaSession" in navigator && navigator.mediaSession.setPositionState && isFinite(audio.duration)) {
+    try {
+      navigator.mediaSession.setPositionState({
+        duration: audio.duration,
+        playbackRate: audio.playbackRate,
+        position: Math.min(audio.currentTime, audio.duration)
+      });
+    } catch (err) {
+      // ogiltigt läge mitt i ett byte av avsnitt — nästa timeupdate rättar
+    }
+  }
+}
+
+function wirePlayer() {
+  const box = document.getElementById("miniPlayer");
+  if (!box) return;
+
+  const rate = box.querySelector(".player-rate");
+  rate.innerHTML = PLAYER_RATES.map(n => `<option value="${n}">${n}×</option>`).join("");
+  rate.addEventListener("change", () => setPlaybackRate(Number(rate.value)));
+
+  box.querySelector(".player-toggle").addEventListener("click", togglePlayback);
+  box.querySelector(".player-back").addEventListener("click", () => skipPlayer(-PLAYER_SKIP_BACK));
+  box.querySelector(".player-forward").addEventListener("click", () => skipPlayer(PLAYER_SKIP_FORWARD));
+  box.querySelector(".player-prev").addEventListener("click", () => playQueueNeighbour(-1));
+  box.querySelector(".player-next").addEventListener("click", () => playQueueNeighbour(1));
+  box.querySelector(".player-close").addEventListener("click", closePlayer);
+  box.querySelector(".player-seek").addEventListener("input", e => seekPlayer(Number(e.target.value)));
+
+  wireMediaSession();
+}
+
+document.addEventListener("DOMContentLoaded", wirePlayer);
+
+// Kön ändrad → föregående/nästa kan ha ändrats
+document.addEventListener("queuechange", syncPlayer);
+
+// Senast spelade avsnitt tillbaka i spelaren (pausad) när katalogen finns
+function setPlayerEpisodes(episodes) {
+  if (player.episode) {
+    // Ny katalog (t.ex. färskare data efter cachen): byt till samma avsnitts nya rad
+    const same = episodes.find(r => r.GUID && r.GUID === player.episode.GUID);
+    if (same) player.episode = same;
+    return;
+  }
+  const last = playerPrefs.guid && episodes.find(r => r.GUID === playerPrefs.guid);
+  if (last && last.AudioURL) playEpisode(last, false);
+}
+
+// ---------- Card button ----------
+
+function renderPlayButton(r) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "listen-pill player-play";
+  btn.dataset.guid = r.GUID || "";
+  btn.__episode = r;
+  btn.addEventListener("click", () => {
+    if (player.episode === r) {
+      togglePlayback();
+    } else {
+      playEpisode(r);
+    }
+  });
+  syncPlayButton(btn);
+  return btn;
+}
+
+function syncPlayButton(btn) {
+  const r = btn.__episode;
+  const resume = savedPosition(r);
+  if (isPlayingEpisode(r)) {
+    btn.textContent = "❚❚ Pause";
+  } else if (resume) {
+    btn.textContent = `▶ Resume at ${formatClock(resume)}`;
+  } else {
+    btn.textContent = "▶ Play here";
+  }
+  btn.classList.toggle("active", player.episode === r);
+}
+
+// Kort kan ha ritats om sedan spelningen började — matcha på GUID
+document.addEventListener("playerchange", () => {
+  document.querySelectorAll(".player-play").forEach(btn => {
+    const r = player.episode;
+    if (r && r.GUID && btn.__episode !== r && btn.dataset.guid === r.GUID) {
+      btn.__episode = r;
+    }
+    syncPlayButton(btn);
+  });
+});
+
+// ---------- Media Session ----------
+
+function updateMediaSession() {
+  if (!("mediaSession" in navigator) || typeof MediaMetadata === "undefined") return;
+  const r = player.episode;
+  navigator.mediaSession.metadata = new MediaMetadata({
+    title: `${r.Episode != null ? r.Episode + ". " : ""}${stripPrefix(r.Title)}`,
+    artist: "The Rest Is History",
+    album: r.Series.length ? stripPrefix(r.Series[0]) : "The Rest Is History",
+    artwork: [{ src: "cover.PNG", type: "image/png" }]
+  });
+}
+
+function wireMediaSession() {
+  if (!("mediaSession" in navigator)) return;
+
+  const handlers = {
+    play: () => player.audio && startAudio(player.audio),
+    pause: () => player.audio && player.audio.pause(),
+    seekbackward: d => skipPlayer(-(d.seekOffset || PLAYER_SKIP_BACK)),
+    seekforward: d => skipPlayer(d.seekOffset || PLAYER_SKIP_FORWARD),
+    seekto: d => seekPlayer(d.seekTime),
+    previoustrack: () => playQueueNeighbour(-1),
+    nexttrack: () => playQueueNeighbour(1)
+  };
+
+  // Webbläsare som inte stöder en åtgärd kastar — hoppa över den
+  Object.entries(handlers).forEach(([action, fn]) => {
+    try {
+      navigator.mediaSession.setActionHandler(action, fn);
+    } catch (err) {
+      // stöds inte här
+    }
+  });
+}
@@ -0,0 +1,261 @@
+/**
+ * Search query language for the #q box (shared via episodes.js)
+ *
+ *   napoleon waterloo        both words (AND)
+ *   "battle of hastings"     exact phrase
+ *   -france                  exclude (also -title:…, -"…")
+ *   rome OR carthage         either; binds tighter than AND:
+ *                            punic rome OR carthage = punic AND (rome OR carthage)
+ *   title: desc: period: region: topic: series: note:   search one field only
+ *                            (note: = your own notes, library.js)
+ *   ep:>300  ep:300..400  year:2021  year:2021..2023  year:<=2022
+ *
+ * Text matching is case- and accent-insensitive. Plain words go through the
+ * search index (search.js): stemmed and typo-tolerant. Phrases and field
+ * prefixes match as substrings. The parser never throws: problems are
+ * reported in `errors` and the query still runs as well as it can.
+ */
+
+const QUERY_TEXT_FIELDS = {
+  title: r => [r.Title],
+  desc: r => [r.Description],
+  period: r => r.Period,
+  region: r => r.Region,
+  topic: r => r.Topic,
+  series: r => r.Series,
+  note: r => [libraryNote(r)]
+};
+
+const QUERY_RANGE_FIELDS = {
+  ep: r => r.Episode,
+  year: r => (r.PublishDate ? r.PublishDate.getFullYear() : null)
+};
+
+const QUERY_FIELD_NAMES = [...Object.keys(QUERY_TEXT_FIELDS), ...Object.keys(QUERY_RANGE_FIELDS)];
+
+// ---------- Parsing ----------
+
+// "a b OR -c" → { ast, errors }
+// ast: { type: "and"|"or", items } | { type: "not", item }
+//    | { type: "text", field, value, phrase } | { type: "range", field, min, max }
+function parseQuery(input) {
+  const errors = [];
+  const tokens = tokenizeQuery(String(input || ""), errors);
+
+  // OR binder hårdare än AND: grupper av termer förenade med OR
+  const groups = [];
+  let pendingOr = false;
+
+  tokens.forEach((tok, i) => {
+    if (tok.type === "or") {
+      if (!groups.length || pendingOr || i === tokens.length - 1) {
+        errors.push("OR needs a term on both sides");
+        return;
+      }
+      pendingOr = true;
+      return;
+    }
+
+    const node = tokenToNode(tok, errors);
+    if (!node) {
+      pendingOr = false;
+      return;
+    }
+
+    const last = groups[groups.length - 1];
+    if (pendingOr && last.type === "or") {
+      last.items.push(node);
+    } else if (pendingOr) {
+      groups[groups.length - 1] = { type: "or", items: [last, node] };
+    } else {
+      groups.push(node);
+    }
+    pendingOr = false;
+  });
+
+  return {
+    ast: groups.length ? { type: "and", items: groups } : null,
+    errors
+  };
+}
+
+function tokenizeQuery(s, errors) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < s.length) {
+    if (/\s/.test(s[i])) { i++; continue; }
+
+    let negate = false;
+    if (s[i] === "-" && i + 1 < s.length && !/\s/.test(s[i + 1])) {
+      negate = true;
+      i++;
+    }
+
+    let field = null;
+    const fieldMatch = /^([a-z]+):(?=\S)/i.exec(s.slice(i));
+    if (fieldMatch) {
+      field = fieldMatch[1].toLowerCase();
+      i += fieldMatch[0].length;
+    }
+
+    let value = "";
+    let phrase = false;
+    if (s[i] === '"') {
+      const end = s.indexOf('"', i + 1);
+      phrase = true;
+      if (end === -1) {
+        errors.push("Missing closing quote");
+        value = s.slice(i + 1);
+        i = s.length;
+      } else {
+        value = s.slice(i + 1, end);
+        i = end + 1;
+      }
+    } else {
+      const start = i;
+      while (i < s.length && !/\s/.test(s[i])) i++;
+      value = s.slice(start, i);
+    }
+
+    if (!negate && !field && !phrase && value === "OR") {
+      tokens.push({ type: "or" });
+    } else {
+      tokens.push({ type: "term", negate, field, value, phrase });
+    }
+  }
+
+  return tokens;
+}
+
+function tokenToNode(tok, errors) {
+  let { field, value } = tok;
+  let node = null;
+
+  if (field && !QUERY_FIELD_NAMES.includes(field)) {
+    errors.push(`Unknown field "${field}:" — use ${QUERY_FIELD_NAMES.map(f => f + ":").join(" ")}`);
+    value = `${field}:${value}`;
+    field = null;
+  }
+
+  if (field && QUERY_RANGE_FIELDS[field]) {
+    const range = parseRange(value);
+    if (!range) {
+      errors.push(`"${field}:${value}" is not a number or range (e.g. ${field}:>300 or ${field}:10..20)`);
+      return null;
+    }
+    if (range.min != null && range.max != null && range.min > range.max) {
+      errors.push(`"${field}:${value}" is empty — put the smaller number first (${field}:${range.max}..${range.min})`);
+      return null;
+    }
+    node = { type: "range", field, ...range };
+  } else {
+    // Ensamt "-" eller bara skiljetecken skulle aldrig matcha något — hoppa över
+    const text = foldText(value.trim());
+    if (!/[\p{L}\p{N}]/u.test(text)) return null;
+    node = { type: "text", field, value: text, phrase: tok.phrase };
+  }
+
+  return tok.negate ? { type: "not", item: node } : node;
+}
+
+// "300", ">300", ">=300", "<10", "<=10", "10..20", "10..", "..20"
+function parseRange(v) {
+  const num = x => (/^\d+$/.test(x) ? Number(x) : NaN);
+
+  let m = /^(>=|<=|>|<)(\d+)$/.exec(v);
+  if (m) {
+    const n = Number(m[2]);
+    if (m[1] === ">") return { min: n + 1, max: null };
+    if (m[1] === ">=") return { min: n, max: null };
+    if (m[1] === "<") return { min: null, max: n - 1 };
+    return { min: null, max: n };
+  }
+
+  m = /^(\d*)\.\.(\d*)$/.exec(v);
+  if (m && (m[1] || m[2])) {
+    return { min: m[1] ? num(m[1]) : null, max: m[2] ? num(m[2]) : null };
+  }
+
+  const n = num(v);
+  return isNaN(n) ? null : { min: n, max: n };
+}
+
+// ---------- Matching ----------
+
+function matchQuery(ast, r) {
+  if (!ast) return true;
+
+  switch (ast.type) {
+    case "and": return ast.items.every(item => matchQuery(item, r));
+    case "or": return ast.items.some(item => matchQuery(item, r));
+    case "not": return !matchQuery(ast.item, r);
+    case "range": {
+      const v = QUERY_RANGE_FIELDS[ast.field](r);
+      if (v == null) return false;
+      if (ast.min != null && v < ast.min) return false;
+      if (ast.max != null && v > ast.max) return false;
+      return true;
+    }
+    default: {
+      // Egna anteckningar ligger inte i indexet (de ändras utan omladdning)
+      if (!ast.field && !ast.phrase && searchIndex) {
+        return searchTermMatches(ast.value).has(r) || libraryNoteMatches(r, ast.value);
+      }
+      const values = ast.field
+        ? QUERY_TEXT_FIELDS[ast.field](r)
+        : [episodeHaystack(r)];
+      return values.some(v => foldText(v).includes(ast.value));
+    }
+  }
+}
+
+// Text nodes that must match (not under -exclude): [{ field, value, phrase }]
+function positiveTextTerms(ast, out = []) {
+  if (!ast || ast.type === "not" || ast.type === "range") return out;
+  if (ast.type === "text") {
+    out.push(ast);
+    return out;
+  }
+  ast.items.forEach(item => positiveTextTerms(item, out));
+  return out;
+}
+
+// Relevance for the "Relevance" ordering → Map(episode → score), or null
+// when the query has no words to rank by (only ep:/year: ranges or -excludes)
+function relevanceScores(ast, rows) {
+  const terms = positiveTextTerms(ast);
+  if (!terms.length) return null;
+  const scores = new Map();
+
+  rows.forEach(r => {
+    let score = 0;
+    terms.forEach(t => {
+      if (searchIndex) score += searchTermScore(t.value, r);
+      if (!t.field && libraryNoteMatches(r, t.value)) score += 2;
+      // Exakt fras i titeln väger tyngst
+      if (t.phrase && foldText(r.Title).includes(t.value)) score += 20;
+    });
+    scores.set(r, score);
+  });
+
+  return scores;
+}
+
+// Index terms to <mark> in titles/descriptions for the current query
+function queryHighlightTerms(ast) {
+  const values = positiveTextTerms(ast)
+    .filter(t => !t.field || t.field === "title" || t.field === "desc")
+    .map(t => t.value);
+  return highlightTermSet(values);
+}
+
+// Samma sträng parsas inte om för varje avsnitt
+let lastCompiled = { input: null, result: null };
+
+function compileQuery(input) {
+  if (lastCompiled.input !== input) {
+    lastCompiled = { input, result: parseQuery(input) };
+  }
+  return lastCompiled.result;
+}
@@ -0,0 +1,304 @@
+/**
+ * Listening queue / playlist
+ * - Ordered list of GUIDs, stored in localStorage (like listening.js)
+ * - "Add to queue" on every episode card and group heading (createRealGroup)
+ * - #queuePanel: drag to reorder (or ↑ / ↓ buttons), remove, clear
+ * - Export as M3U (AudioURL), OPML, or a shareable link: index.html?queue=guid1,guid2
+ *   — opening such a link offers to replace or extend your own queue
+ */
+
+const QUEUE_KEY = "trih-queue";
+const QUEUE_TITLE = "The Rest Is History — queue";
+
+// GUID:s i spelordning
+let queue = readQueue();
+
+// GUID → avsnitt, från setQueueEpisodes (katalogen laddas efter queue.js)
+let queueCatalogue = new Map();
+
+// ?queue=… vid sidstart; försvinner ur URL:en vid första updateUrlFromState
+let sharedQueue = parseQueueParam(new URLSearchParams(window.location.search).get("queue"));
+
+function readQueue() {
+  const saved = readStore(QUEUE_KEY, []);
+  return Array.isArray(saved) ? saved.filter(g => typeof g === "string" && g) : [];
+}
+
+function parseQueueParam(v) {
+  if (!v) return [];
+  return [...new Set(v.split(",").map(g => g.trim()).filter(Boolean))];
+}
+
+function setQueue(guids) {
+  queue = [...new Set(guids)];
+  writeStore(QUEUE_KEY, queue);
+  document.dispatchEvent(new CustomEvent("queuechange", { detail: {} }));
+}
+
+function isQueued(r) {
+  return Boolean(r.GUID) && queue.includes(r.GUID);
+}
+
+// Lägger till sist i kön; redan köade avsnitt behåller sin plats. Returnerar antalet nya.
+function addToQueue(rows) {
+  const added = rows.filter(r => r.GUID && !queue.includes(r.GUID)).map(r => r.GUID);
+  if (added.length) setQueue([...queue, ...added]);
+  return new Set(added).size;
+}
+
+function removeFromQueue(guid) {
+  setQueue(queue.filter(g => g !== guid));
+}
+
+function moveQueueItem(from, to) {
+  const next = reorderItems(queue, from, to);
+  if (next) setQueue(next);
+}
+
+// Köade avsnitt som finns i katalogen, i köordning
+function queuedEpisodes() {
+  return queue.map(g => queueCatalogue.get(g)).filter(Boolean);
+}
+
+function setQueueEpisodes(episodes) {
+  queueCatalogue = new Map(episodes.filter(r => r.GUID).map(r => [r.GUID, r]));
+  renderQueuePanel();
+}
+
+function queueEpisodeTitle(r) {
+  return `${r.Episode != null ? r.Episode + ". " : ""}${stripPrefix(r.Title)}`;
+}
+
+// ---------- Card + group heading buttons ----------
+
+function renderQueueToggle(r) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "queue-toggle";
+  if (!r.GUID) {
+    btn.hidden = true;
+    return btn;
+  }
+
+  btn.dataset.guid = r.GUID;
+  btn.addEventListener("click", () => {
+    if (isQueued(r)) {
+      removeFromQueue(r.GUID);
+    } else {
+      addToQueue([r]);
+    }
+  });
+  syncQueueToggle(btn);
+  return btn;
+}
+
+function syncQueueToggle(btn) {
+  const on = queue.includes(btn.dataset.guid);
+  btn.textContent = on ? "✓ In queue" : "＋ Add to queue";
+  btn.setAttribute("aria-pressed", on ? "true" : "false");
+  btn.classList.toggle("active", on);
+}
+
+// getRows() anropas vid klick, så gruppen köas i listans aktuella sortering
+function renderQueueGroupButton(getRows, label) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "queue-group-add";
+  btn.textContent = "＋ Queue all";
+  btn.title = `Add all episodes in ${label} to the queue`;
+  btn.addEventListener("click", () => {
+    const added = addToQueue(getRows());
+    btn.textContent = added ? `✓ Added ${added}` : "✓ All queued";
+    setTimeout(() => { btn.textContent = "＋ Queue all"; }, 2000);
+  });
+  return btn;
+}
+
+// ---------- Panel ----------
+
+function renderQueuePanel() {
+  const panel = document.getElementById("queuePanel");
+  if (!panel) return;
+
+  const episodes = queuedEpisodes();
+  const total = episodes.reduce((sum, r) => sum + (r.Duration || 0), 0);
+  panel.querySelector(".queue-count").textContent = queue.length
+    ? `${queue.length} episode${queue.length === 1 ? "" : "s"}${total ? ` · ${formatDuration(total)}` : ""}`
+    : "empty";
+
+  renderSharedQueueNotice(panel);
+
+  const list = panel.querySelector(".queue-list");
+  list.innerHTML = "";
+
+  if (!queue.length) {
+    list.innerHTML = `<li class="queue-empty">Use “＋ Add to queue” on an episode or “＋ Queue all” on a group.</li>`;
+  }
+
+  queue.forEach((guid, i) => {
+    const r = queueCatalogue.get(guid);
+    const li = document.createElement("li");
+    li.className = "queue-item";
+    li.draggable = true;
+    li.dataset.index = i;
+    li.innerHTML = `
+      <span class="queue-handle" aria-hidden="true">⠿</span>
+      <span class="queue-title"></span>
+      <span class="queue-duration"></span>
+      <button type="button" class="queue-move" data-move="-1" aria-label="Move up">↑</button>
+      <button type="button" class="queue-move" data-move="1" aria-label="Move down">↓</button>
+      <button type="button" class="queue-remove" aria-label="Remove from queue">✕</button>
+    `;
+    li.querySelector(".queue-title").textContent = r ? queueEpisodeTitle(r) : "Unknown episode";
+    li.querySelector(".queue-duration").textContent = r && r.Duration ? formatDuration(r.Duration) : "";
+    li.classList.toggle("is-missing", !r);
+    syncMoveButtons(li, i, queue.length);
+    list.appendChild(li);
+  });
+
+  panel.querySelectorAll(".queue-actions button").forEach(btn => {
+    btn.disabled = !queue.length;
+  });
+}
+
+function renderSharedQueueNotice(panel) {
+  const box = panel.querySelector(".queue-shared");
+  const known = sharedQueue.filter(g => queueCatalogue.has(g));
+  box.hidden = !known.length;
+  if (!known.length) return;
+
+  box.querySelector(".queue-shared-text").textContent =
+    `A shared queue with ${known.length} episode${known.length === 1 ? "" : "s"}.`;
+}
+
+function wireQueuePanel() {
+  const panel = document.getElementById("queuePanel");
+  if (!panel) return;
+
+  const list = panel.querySelector(".queue-list");
+  const status = panel.querySelector(".queue-status");
+  const say = text => { status.textContent = text; };
+  const indexOf = el => Number(el.closest(".queue-item").dataset.index);
+
+  list.addEventListener("click", e => {
+    const btn = e.target.closest(".queue-remove");
+    if (btn) removeFromQueue(queue[indexOf(btn)]);
+  });
+
+  // ↑ / ↓ och dra och släpp (reorder.js)
+  wireReorderList(list, { itemSelector: ".queue-item", move: moveQueueItem, dragText: i => queue[i] });
+
+  panel.querySelector(".queue-export-m3u").addEventListener("click", () => {
+    const skipped = exportQueueM3u();
+    say(skipped ? `Exported. ${skipped} episode${skipped === 1 ? "" : "s"} without audio left out.` : "Exported.");
+  });
+  panel.querySelector(".queue-export-opml").addEventListener("click", () => {
+    exportQueueOpml();
+    say("Exported.");
+  });
+  panel.querySelector(".queue-share").addEventListener("click", () => {
+    const url = queueShareUrl();
+    const field = panel.querySelector(".queue-share-url");
+    field.hidden = false;
+    field.value = url;
+    field.select();
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url)
+        .then(() => say("Link copied."))
+        .catch(() => say("Copy the link below."));
+    } else {
+      say("Copy the link below.");
+    }
+  });
+  panel.querySelector(".queue-clear").addEventListener("click", () => {
+    if (!confirm("Remove all episodes from the queue?")) return;
+    setQueue([]);
+    say("");
+  });
+
+  // Delad kö från länken
+  const shared = panel.querySelector(".queue-shared");
+  const known = () => sharedQueue.filter(g => queueCatalogue.has(g));
+  shared.querySelector(".queue-shared-replace").addEventListener("click", () => {
+    const guids = known();
+    sharedQueue = [];
+    setQueue(guids);
+    say("Loaded the shared queue.");
+  });
+  shared.querySelector(".queue-shared-append").addEventListener("click", () => {
+    const rows = known().map(g => queueCatalogue.get(g));
+    sharedQueue = [];
+    const added = addToQueue(rows);
+    renderQueuePanel();
+    say(`Added ${added} episode${added === 1 ? "" : "s"}.`);
+  });
+  shared.querySelector(".queue-shared-dismiss").addEventListener("click", () => {
+    sharedQueue = [];
+    renderQueuePanel();
+  });
+  if (sharedQueue.length) panel.open = true;
+
+  renderQueuePanel();
+}
+
+document.addEventListener("DOMContentLoaded", wireQueuePanel);
+
+document.addEventListener("queuechange", () => {
+  renderQueuePanel();
+  document.querySelectorAll(".queue-toggle[data-guid]").forEach(syncQueueToggle);
+});
+
+window.addEventListener("storage", e => {
+  if (e.key !== QUEUE_KEY) return;
+  queue = readQueue();
+  document.dispatchEvent(new CustomEvent("queuechange", { detail: {} }));
+});
+
+// ---------- Export ----------
+
+// Returnerar antalet avsnitt som saknar AudioURL (och därför inte kom med)
+function exportQueueM3u() {
+  const episodes = queuedEpisodes();
+  const playable = episodes.filter(r => r.AudioURL);
+  const lines = ["#EXTM3U", `#PLAYLIST:${QUEUE_TITLE}`];
+  playable.forEach(r => {
+    const title = queueEpisodeTitle(r).replace(/[\r\n]+/g, " ");
+    lines.push(`#EXTINF:${r.Duration || -1},The Rest Is History - ${title}`, r.AudioURL);
+  });
+
+  downloadText(`trih-queue-${formatIsoDate(new Date())}.m3u`, lines.join("\n") + "\n", "audio/x-mpegurl");
+  return episodes.length - playable.length;
+}
+
+function exportQueueOpml() {
+  const outlines = queuedEpisodes().map(r => {
+    const attrs = [
+      `text="${escapeHtml(queueEpisodeTitle(r))}"`,
+      r.AudioURL && `type="link" url="${escapeHtml(r.AudioURL)}"`,
+      r.PublishDate && `created="${r.PublishDate.toUTCString()}"`,
+      `guid="${escapeHtml(r.GUID)}"`
+    ].filter(Boolean).join(" ");
+    return `    <outline ${attrs}/>`;
+  });
+
+  const xml = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<opml version="2.0">`,
+    `  <head>`,
+    `    <title>${escapeHtml(QUEUE_TITLE)}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    `  </head>`,
+    `  <body>`,
+    ...outlines,
+    `  </body>`,
+    `</opml>`
+  ].join("\n");
+
+  downloadText(`trih-queue-${formatIsoDate(new Date())}.opml`, xml + "\n", "text/x-opml");
+}
+
+function queueShareUrl() {
+  const params = baseUrlParams();
+  params.set("queue", queue.join(","));
+  return `${location.origin}${location.pathname}?${params.toString()}`;
+}
@@ -0,0 +1,142 @@
+/**
+ * "You might also like" — related episodes on each card
+ * - Score = weighted tag overlap (Period, Region, Topic; rare tags count more)
+ *   + title/description similarity (TF-IDF cosine)
+ * - Episodes from the same Series (tagged or suggested) are left out —
+ *   they are one click away in the series grouping anyway
+ * - Computed when a card is first opened; the per-catalogue model is built
+ *   once and cached (relatedModel)
+ */
+
+const RELATED_TAG_WEIGHTS = { Period: 2, Region: 2, Topic: 3 };
+const RELATED_TEXT_WEIGHT = 8;      // cosinus 0–1 → i nivå med ett par delade taggar
+const RELATED_TITLE_WEIGHT = 3;     // titelord väger mer än beskrivningsord
+const RELATED_LIMIT = 5;
+const RELATED_MIN_SCORE = 2;        // hellre inga förslag än svaga
+
+// episodes-arrayen → modell; ny katalog (setEpisodes) → ny modell
+const relatedModels = new WeakMap();
+
+function relatedModel(episodes) {
+  if (relatedModels.has(episodes)) return relatedModels.get(episodes);
+
+  const tagCounts = new Map();   // "Topic:War" → antal avsnitt
+  const termCounts = new Map();  // term → antal avsnitt
+  const termFreqs = new Map();   // avsnitt → Map(term → viktad frekvens)
+
+  episodes.forEach(r => {
+    Object.keys(RELATED_TAG_WEIGHTS).forEach(field => {
+      new Set(r[field]).forEach(tag => {
+        const key = `${field}:${tag}`;
+        tagCounts.set(key, (tagCounts.get(key) || 0) + 1);
+      });
+    });
+
+    const tf = new Map();
+    const add = (text, weight) => tokenizeText(text).forEach(t => {
+      if (t.length < 3 || STOPWORDS.has(t) || /^\d+$/.test(t)) return;
+      tf.set(t, (tf.get(t) || 0) + weight);
+    });
+    add(stripPrefix(r.Title), RELATED_TITLE_WEIGHT);
+    add(r.Description, 1);
+
+    termFreqs.set(r, tf);
+    tf.forEach((_, t) => termCounts.set(t, (termCounts.get(t) || 0) + 1));
+  });
+
+  const idf = df => Math.log(1 + episodes.length / df);
+
+  // Normaliserade TF-IDF-vektorer → cosinus = skalärprodukt
+  const vectors = new Map();
+  termFreqs.forEach((tf, r) => {
+    const v = new Map();
+    let norm = 0;
+    tf.forEach((n, t) => {
+      const w = (1 + Math.log(n)) * idf(termCounts.get(t));
+      v.set(t, w);
+      norm += w * w;
+    });
+    norm = Math.sqrt(norm) || 1;
+    v.forEach((w, t) => v.set(t, w / norm));
+    vectors.set(r, v);
+  });
+
+  const model = { tagCounts, vectors, idf };
+  relatedModels.set(episodes, model);
+  return model;
+}
+
+// [{ episode, score, shared: ["War", …] }], bästa först
+function relatedEpisodes(r, episodes, limit = RELATED_LIMIT) {
+  const model = relatedModel(episodes);
+  const series = new Set(episodeSeries(r));
+  const own = model.vectors.get(r) || new Map();
+
+  const scored = [];
+  episodes.forEach(other => {
+    if (other === r || episodeSeries(other).some(s => series.has(s))) return;
+
+    let score = 0;
+    const shared = [];
+    Object.entries(RELATED_TAG_WEIGHTS).forEach(([field, weight]) => {
+      other[field].forEach(tag => {
+        if (!r[field].includes(tag)) return;
+        score += weight * model.idf(model.tagCounts.get(`${field}:${tag}`));
+        shared.push(stripPrefix(tag));
+      });
+    });
+
+    const v = model.vectors.get(other);
+    let cosine = 0;
+    if (v) {
+      const [small, large] = own.size < v.size ? [own, v] : [v, own];
+      small.forEach((w, t) => { if (large.has(t)) cosine += w * large.get(t); });
+    }
+    score += RELATED_TEXT_WEIGHT * cosine;
+
+    if (score >= RELATED_MIN_SCORE) scored.push({ episode: other, score, shared });
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score || compareEpisodeNumbers(b.episode, a.episode))
+    .slice(0, limit);
+}
+
+// onOpen(episode) vid klick; länken fungerar också att kopiera / öppna i ny flik
+function renderRelatedEpisodes(box, r, episodes, onOpen) {
+  const related = relatedEpisodes(r, episodes);
+  box.innerHTML = "";
+  if (!related.length) return;
+
+  const heading = document.createElement("h4");
+  heading.className = "related-heading";
+  heading.textContent = "You might also like";
+  box.appendChild(heading);
+
+  const list = document.createElement("ul");
+  list.className = "related-list";
+
+  related.forEach(({ episode, shared }) => {
+    const li = document.createElement("li");
+    const a = document.createElement("a");
+    a.className = "related-link";
+    a.href = episodeLinkUrl(episode);
+    a.textContent = `${episode.Episode != null ? episode.Episode + ". " : ""}${stripPrefix(episode.Title)}`;
+    a.addEventListener("click", e => {
+      if (e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+      e.preventDefault();
+      onOpen(episode);
+    });
+    li.appendChild(a);
+
+    if (shared.length) {
+      const why = document.createElement("span");
+      why.className = "related-why";
+      why.textContent = [...new Set(shared)].slice(0, 3).join(" · ");
+      li.appendChild(why);
+    }
+    list.appendChild(li);
+  });
+
+  box.appendChild(list);
+}
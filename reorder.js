@@ -0,0 +1,75 @@
+/**
+ * Reorderable lists (the queue, saved views)
+ * - Items carry data-index; ↑ / ↓ are buttons with data-move="-1" / "1"
+ * - Keyboard users keep focus on the same button after the list is redrawn
+ * - Optional drag and drop: dropped above or below the middle of the target
+ * move(from, to) only saves the new order — the list is redrawn by the
+ * caller's change event (queuechange, viewschange).
+ */
+
+// Ny array med elementet flyttat (to begränsas till listan), null om inget flyttas
+function reorderItems(items, from, to) {
+  if (from < 0 || from >= items.length) return null;
+  const target = Math.max(0, Math.min(items.length - 1, to));
+  if (target === from) return null;
+  const next = [...items];
+  const [item] = next.splice(from, 1);
+  next.splice(target, 0, item);
+  return next;
+}
+
+// Första raden kan inte flyttas upp, sista inte ner
+function syncMoveButtons(li, i, count) {
+  li.querySelector('[data-move="-1"]').disabled = i === 0;
+  li.querySelector('[data-move="1"]').disabled = i === count - 1;
+}
+
+// dragText(i): texten som följer med en dragning (krävs för att Firefox ska
+// starta den); utan dragText bara knapparna
+function wireReorderList(list, { itemSelector, move, dragText }) {
+  list.addEventListener("click", e => {
+    const btn = e.target.closest("button[data-move]");
+    if (!btn) return;
+    const from = Number(btn.closest(itemSelector).dataset.index);
+    const to = from + Number(btn.dataset.move);
+    move(from, to);
+    // Behåll fokus på samma knapp efter omritningen (tangentbordsflytt)
+    const moved = list.querySelector(`${itemSelector}[data-index="${to}"] [data-move="${btn.dataset.move}"]`);
+    if (moved && !moved.disabled) moved.focus();
+  });
+
+  if (!dragText) return;
+
+  const items = () => list.querySelectorAll(itemSelector);
+  let dragFrom = null;
+  list.addEventListener("dragstart", e => {
+    const item = e.target.closest(itemSelector);
+    if (!item) return;
+    dragFrom = Number(item.dataset.index);
+    item.classList.add("is-dragging");
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", dragText(dragFrom));
+  });
+  list.addEventListener("dragover", e => {
+    if (dragFrom == null) return;
+    const item = e.target.closest(itemSelector);
+    if (!item) return;
+    e.preventDefault();
+    const rect = item.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    items().forEach(li => li.classList.remove("drop-before", "drop-after"));
+    item.classList.add(after ? "drop-after" : "drop-before");
+  });
+  list.addEventListener("drop", e => {
+    const item = e.target.closest(itemSelector);
+    if (dragFrom == null || !item) return;
+    e.preventDefault();
+    let to = Number(item.dataset.index) + (item.classList.contains("drop-after") ? 1 : 0);
+    if (to > dragFrom) to--;
+    move(dragFrom, to);
+  });
+  list.addEventListener("dragend", () => {
+    dragFrom = null;
+    items().forEach(li => li.classList.remove("is-dragging", "drop-before", "drop-after"));
+  });
+}
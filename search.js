@@ -0,0 +1,207 @@
+/**
+ * In-browser search index (built once per catalogue by episodes.js)
+ * - Inverted index: term → episode → field weight
+ * - Terms are lowercased, diacritic-folded and lightly stemmed
+ * - Typo tolerance: query words also match close spellings (edit distance)
+ *   and, while typing, longer words with the same start
+ * - Field weighting for relevance: title > series > tags > description
+ *
+ * query.js uses searchTermMatches() for plain words and relevanceScores()
+ * for the "Relevance" ordering; highlightHtml() marks matches in cards.
+ */
+
+const SEARCH_FIELD_WEIGHTS = [
+  { weight: 8, get: r => [r.Title] },
+  { weight: 4, get: r => r.Series },
+  { weight: 2, get: r => [...r.Period.map(stripPrefix), ...r.Region, ...r.Topic] },
+  { weight: 1, get: r => [r.Description] }
+];
+
+// Hur mycket en term räknas beroende på hur den matchade
+const MATCH_EXACT = 1;
+const MATCH_PREFIX = 0.7;
+const MATCH_FUZZY = 0.6;
+
+// Vanliga ord — ignoreras i frågan så "the tudors" inte kräver "the"
+const STOPWORDS = new Set([
+  "a", "an", "and", "the", "of", "in", "on", "at", "to", "for", "by", "with", "from", "is", "was"
+]);
+
+let searchIndex = null;
+
+// ---------- Building ----------
+
+function buildSearchIndex(episodes) {
+  const postings = new Map();   // term → Map(episode → weight)
+
+  episodes.forEach(r => {
+    SEARCH_FIELD_WEIGHTS.forEach(({ weight, get }) => {
+      const terms = new Set();
+      get(r).forEach(text => tokenizeText(text).forEach(t => terms.add(t)));
+
+      terms.forEach(t => {
+        if (!postings.has(t)) postings.set(t, new Map());
+        const byEpisode = postings.get(t);
+        byEpisode.set(r, (byEpisode.get(r) || 0) + weight);
+      });
+    });
+  });
+
+  searchIndex = {
+    postings,
+    vocabulary: [...postings.keys()],
+    size: episodes.length,
+    expandCache: new Map(),
+    matchCache: new Map()
+  };
+  return searchIndex;
+}
+
+// ---------- Normalization ----------
+
+function foldText(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+// "Napoleon's Wars" → ["napoleon", "war"]
+function tokenizeText(text) {
+  return (foldText(text).match(/[a-z0-9]+(?:'[a-z]+)?/g) || []).map(normalizeWord);
+}
+
+function normalizeWord(word) {
+  return stemWord(foldText(word).replace(/'s$|'/g, ""));
+}
+
+// Lätt engelsk stemming — räcker för plural/-ing/-ed
+function stemWord(w) {
+  if (w.length <= 3 || /^\d+$/.test(w)) return w;
+  if (w.endsWith("ies") && w.length > 4) return w.slice(0, -3) + "y";
+  if (/(ss|x|z|ch|sh)es$/.test(w)) return w.slice(0, -2);
+  if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) return w.slice(0, -1);
+  if (w.endsWith("ing") && w.length > 5) return w.slice(0, -3);
+  if (w.endsWith("ed") && w.length > 4) return w.slice(0, -2);
+  return w;
+}
+
+// ---------- Lookup ----------
+
+// Query word → Map(index term → match factor)
+function expandSearchWord(word) {
+  const cache = searchIndex.expandCache;
+  if (cache.has(word)) return cache.get(word);
+
+  const out = new Map();
+  const maxDistance = word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+
+  searchIndex.vocabulary.forEach(term => {
+    if (term === word) {
+      out.set(term, MATCH_EXACT);
+    } else if (word.length >= 3 && term.startsWith(word)) {
+      out.set(term, MATCH_PREFIX);
+    } else if (maxDistance && Math.abs(term.length - word.length) <= maxDistance &&
+               editDistance(word, term, maxDistance) <= maxDistance) {
+      out.set(term, MATCH_FUZZY);
+    }
+  });
+
+  cache.set(word, out);
+  return out;
+}
+
+// Text from one query term ("napolean", "anglo-saxon") → normalized words
+function searchWords(value) {
+  const words = tokenizeText(value);
+  const meaningful = words.filter(w => !STOPWORDS.has(w));
+  return meaningful.length ? meaningful : words;
+}
+
+// Set of episodes where every word of the term matches (AND)
+function searchTermMatches(value) {
+  const cache = searchIndex.matchCache;
+  if (cache.has(value)) return cache.get(value);
+
+  let result = null;
+  searchWords(value).forEach(word => {
+    const hits = new Set();
+    expandSearchWord(word).forEach((factor, term) => {
+      searchIndex.postings.get(term).forEach((w, r) => hits.add(r));
+    });
+    result = result ? new Set([...result].filter(r => hits.has(r))) : hits;
+  });
+
+  cache.set(value, result || new Set());
+  return cache.get(value);
+}
+
+// Weighted score for one query term in one episode (0 = no match)
+function searchTermScore(value, r) {
+  let score = 0;
+  searchWords(value).forEach(word => {
+    expandSearchWord(word).forEach((factor, term) => {
+      const byEpisode = searchIndex.postings.get(term);
+      const w = byEpisode.get(r);
+      if (!w) return;
+      const idf = Math.log(1 + searchIndex.size / byEpisode.size);
+      score += w * factor * idf;
+    });
+  });
+  return score;
+}
+
+// Damerau–Levenshtein (med transposition), avbryter när max överskrids
+function editDistance(a, b, max) {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows[i] = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) { rows[i][j] = j; continue; }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, rows[i - 2][j - 2] + 1);
+      }
+      rows[i][j] = d;
+      rowMin = Math.min(rowMin, d);
+    }
+    if (i > 0 && rowMin > max) return max + 1;
+  }
+  return rows[a.length][b.length];
+}
+
+// ---------- Highlighting ----------
+
+// Set of index terms to highlight for a set of query words
+function highlightTermSet(values) {
+  const terms = new Set();
+  if (!searchIndex) return terms;
+
+  values.forEach(value => {
+    searchWords(value).forEach(word => {
+      expandSearchWord(word).forEach((factor, term) => terms.add(term));
+    });
+  });
+  return terms;
+}
+
+// Escaped HTML with <mark> around words whose index term is in `terms`
+function highlightHtml(text, terms) {
+  if (!terms || !terms.size) return escapeHtml(text);
+
+  let html = "";
+  let last = 0;
+  const re = /[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu;
+  let m;
+
+  while ((m = re.exec(text))) {
+    html += escapeHtml(text.slice(last, m.index));
+    const word = m[0];
+    html += terms.has(normalizeWord(word)) ? `<mark>${escapeHtml(word)}</mark>` : escapeHtml(word);
+    last = m.index + word.length;
+  }
+
+  return html + escapeHtml(text.slice(last));
+}
@@ -0,0 +1,326 @@
+/**
+ * Series as first-class objects
+ * - Part numbers from titles: "(Part 3)", "Part III", "Pt. 3", "Part Three"
+ * - Series order: by part number when every episode has one, otherwise by
+ *   publish date (then episode number)
+ * - Card: "Part 2 of 5" with previous / next and "Start from Part 1"
+ * - Series grouping: overview per series — parts, date span, missing parts
+ * - Suggested series: untagged episodes clustered by title ("Part 1/2",
+ *   shared "X: …" prefix), close publish dates and shared tags. They sit in
+ *   r.SuggestedSeries, work in the Series facet and grouping with a
+ *   "suggested" badge, and can be exported as CSV for the taggers.
+ */
+
+const SERIES_PART_PATTERNS = [
+  /\bpart\s+(\d+|[ivx]+|one|two|three|four|five|six|seven|eight|nine|ten)\b/i,
+  /\bpt\.?\s*(\d+)\b/i
+];
+
+const SERIES_PART_WORDS = ["one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten"];
+
+const SUGGEST_MAX_GAP_DAYS = 60;   // längsta glapp mellan två delar i samma förslag
+
+// namn → { name, reason, episodes } — fylls av detectSuggestedSeries
+let suggestedSeries = new Map();
+
+// Taggade serier + föreslagna
+function episodeSeries(r) {
+  return r.SuggestedSeries && r.SuggestedSeries.length ? [...r.Series, ...r.SuggestedSeries] : r.Series;
+}
+
+function isSuggestedSeries(name) {
+  return suggestedSeries.has(name);
+}
+
+// "III" → 3, "three" → 3, "12" → 12
+function parsePartNumber(v) {
+  const s = String(v).toLowerCase();
+  if (/^\d+$/.test(s)) return Number(s);
+  const word = SERIES_PART_WORDS.indexOf(s);
+  if (word >= 0) return word + 1;
+
+  const roman = { i: 1, v: 5, x: 10 };
+  let total = 0;
+  for (let i = 0; i < s.length; i++) {
+    const n = roman[s[i]];
+    const next = roman[s[i + 1]] || 0;
+    total += n < next ? -n : n;
+  }
+  return total || null;
+}
+
+// Delnummer ur titeln, eller null
+function seriesPart(r) {
+  const title = stripPrefix(r.Title);
+  for (const re of SERIES_PART_PATTERNS) {
+    const m = re.exec(title);
+    if (m) return parsePartNumber(m[1]);
+  }
+  return null;
+}
+
+// episodes-arrayen → Map(serienamn → serie); byggs om när katalogen byts
+const seriesModels = new WeakMap();
+
+function seriesModel(episodes) {
+  if (seriesModels.has(episodes)) return seriesModels.get(episodes);
+
+  const byName = new Map();
+  episodes.forEach(r => {
+    episodeSeries(r).forEach(name => {
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push(r);
+    });
+  });
+
+  const model = new Map();
+  byName.forEach((rows, name) => model.set(name, buildSeries(name, rows)));
+  seriesModels.set(episodes, model);
+  return model;
+}
+
+function buildSeries(name, rows) {
+  const parts = new Map(rows.map(r => [r, seriesPart(r)]));
+  const numbered = rows.every(r => parts.get(r) != null);
+  const time = r => (r.PublishDate ? r.PublishDate.getTime() : Infinity);
+
+  const episodes = rows.slice().sort((a, b) =>
+    (numbered && parts.get(a) - parts.get(b)) ||
+    time(a) - time(b) ||
+    (a.Episode ?? Infinity) - (b.Episode ?? Infinity)
+  );
+
+  // Delnummer: från titeln när alla har ett, annars position i ordningen
+  const partOf = new Map(episodes.map((r, i) => [r, numbered ? parts.get(r) : i + 1]));
+  const highest = Math.max(episodes.length, ...partOf.values());
+
+  const gaps = [];
+  if (numbered) {
+    for (let n = 1; n <= highest; n++) {
+      if (![...partOf.values()].includes(n)) gaps.push(n);
+    }
+  }
+
+  const dates = episodes.map(r => r.PublishDate).filter(Boolean).sort((a, b) => a - b);
+
+  return {
+    name,
+    episodes,
+    partOf,
+    total: highest,
+    gaps,
+    first: dates[0] || null,
+    last: dates[dates.length - 1] || null
+  };
+}
+
+function seriesFor(name, episodes) {
+  return seriesModel(episodes).get(name) || null;
+}
+
+// "Jan 2021 – Mar 2021" (samma månad → en gång)
+function seriesDateSpan(series) {
+  const fmt = d => d.toLocaleDateString("en-US", { year: "numeric", month: "short" });
+  if (!series.first) return "";
+  const a = fmt(series.first);
+  const b = fmt(series.last);
+  return a === b ? a : `${a} – ${b}`;
+}
+
+function seriesOverviewText(series) {
+  const count = series.episodes.length;
+  return [
+    `${count} part${count === 1 ? "" : "s"}`,
+    seriesDateSpan(series),
+    series.gaps.length && `missing Part ${series.gaps.join(", ")}`
+  ].filter(Boolean).join(" · ");
+}
+
+// ---------- Card + overview ----------
+
+// Ett block per serie avsnittet ingår i; onOpen(episode) vid klick
+function renderSeriesNav(r, episodes, onOpen) {
+  const box = document.createElement("div");
+  box.className = "series-nav";
+
+  episodeSeries(r).forEach(name => {
+    const series = seriesFor(name, episodes);
+    if (!series) return;
+
+    const i = series.episodes.indexOf(r);
+    const prev = series.episodes[i - 1];
+    const next = series.episodes[i + 1];
+    const firstPart = series.episodes[0];
+
+    const row = document.createElement("div");
+    row.className = "series-nav-row";
+    row.setAttribute("role", "group");
+    row.setAttribute("aria-label", `Series: ${stripPrefix(name)}`);
+    row.innerHTML = `
+      <span class="series-nav-label">📚 ${escapeHtml(stripPrefix(name))} · Part ${series.partOf.get(r)} of ${series.total}</span>
+      ${isSuggestedSeries(name) ? suggestedBadgeHtml() : ""}
+    `;
+
+    const button = (label, target, cls) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = `series-nav-btn ${cls}`;
+      btn.textContent = label;
+      btn.disabled = !target;
+      if (target) {
+        btn.title = `${target.Episode != null ? target.Episode + ". " : ""}${stripPrefix(target.Title)}`;
+        btn.addEventListener("click", () => onOpen(target));
+      }
+      row.appendChild(btn);
+    };
+    button("‹ Previous", prev, "series-prev");
+    button("Next ›", next, "series-next");
+    if (firstPart !== r) button("⏮ Start from Part 1", firstPart, "series-start");
+
+    box.appendChild(row);
+  });
+
+  return box;
+}
+
+// Rad under rubriken i serie-grupperingen
+function renderSeriesOverview(name, episodes, onOpen) {
+  const series = seriesFor(name, episodes);
+  const box = document.createElement("p");
+  box.className = "series-overview";
+  if (!series) return box;
+
+  box.textContent = seriesOverviewText(series);
+
+  const start = document.createElement("button");
+  start.type = "button";
+  start.className = "series-nav-btn series-start";
+  start.textContent = "▶ Start from Part 1";
+  start.addEventListener("click", () => onOpen(series.episodes[0]));
+  box.appendChild(start);
+
+  return box;
+}
+
+// ---------- Suggested series ----------
+
+function suggestedBadgeHtml() {
+  return `<span class="badge badge-suggested" title="Detected from titles — not tagged in the community sheet yet">suggested</span>`;
+}
+
+// "Napoleon (Part 2): Emperor" → "Napoleon"
+function seriesTitleBase(title) {
+  for (const re of SERIES_PART_PATTERNS) {
+    const m = re.exec(title);
+    if (m) return title.slice(0, m.index).replace(/[\s(:,–—-]+$/, "").trim() || null;
+  }
+  return null;
+}
+
+// "Henry VIII: The Early Years" → "Henry VIII"
+function seriesTitlePrefix(title) {
+  const m = /^(.{3,}?)\s*(?::|\s[–—-]\s)/.exec(title);
+  return m ? m[1].trim() : null;
+}
+
+// Delar upp i körningar där delarna ligger nära varandra i tid
+function splitByPublishDate(rows) {
+  const time = r => (r.PublishDate ? r.PublishDate.getTime() : Infinity);
+  const sorted = rows.slice().sort((a, b) => time(a) - time(b));
+  const maxGap = SUGGEST_MAX_GAP_DAYS * 86400000;
+
+  const runs = [];
+  sorted.forEach((r, i) => {
+    if (i === 0 || time(r) - time(sorted[i - 1]) > maxGap) runs.push([]);
+    runs[runs.length - 1].push(r);
+  });
+  return runs;
+}
+
+// Otaggade avsnitt räknas som matchande — de väntar ofta på taggar
+function sharesTag(r, rows) {
+  const tags = [...r.Period, ...r.Region, ...r.Topic];
+  if (!tags.length) return true;
+  return rows.some(o => o !== r && tags.some(t => o.Period.includes(t) || o.Region.includes(t) || o.Topic.includes(t)));
+}
+
+// Körs efter normaliseringen (episodes.js normalizeRows), före allt annat
+function detectSuggestedSeries(episodes) {
+  const tagged = new Set(episodes.flatMap(r => r.Series).map(foldText));
+  const untagged = episodes.filter(r => !r.Series.length);
+  const claimed = new Set();
+  const found = new Map();
+
+  const clusters = (rows, keyFn) => {
+    const out = new Map();
+    rows.forEach(r => {
+      const name = keyFn(stripPrefix(r.Title));
+      if (!name) return;
+      const key = foldText(name);
+      if (!out.has(key)) out.set(key, { name, rows: [] });
+      out.get(key).rows.push(r);
+    });
+    return [...out.values()];
+  };
+
+  const suggest = (name, rows, reason) => {
+    // Samma namn som en taggad serie: låt taggarna avgöra
+    if (tagged.has(foldText(name))) return;
+
+    splitByPublishDate(rows).forEach(run => {
+      if (run.length < 2) return;
+      let label = name;
+      if (found.has(label) && run[0].PublishDate) label = `${name} (${run[0].PublishDate.getFullYear()})`;
+      if (found.has(label)) return;
+
+      run.forEach(r => claimed.add(r));
+      found.set(label, { name: label, reason, episodes: run });
+    });
+  };
+
+  // 1. "Part 1" / "Part 2" med samma titelgrund
+  clusters(untagged, seriesTitleBase)
+    .forEach(c => suggest(c.name, c.rows, "Part numbers in titles"));
+
+  // 2. Gemensamt "X: …"-prefix och minst en gemensam tagg
+  clusters(untagged.filter(r => !claimed.has(r)), seriesTitlePrefix)
+    .forEach(c => suggest(c.name, c.rows.filter(r => sharesTag(r, c.rows)), "Shared title prefix and tags"));
+
+  episodes.forEach(r => { r.SuggestedSeries = []; });
+  found.forEach(s => s.episodes.forEach(r => r.SuggestedSeries.push(s.name)));
+  suggestedSeries = found;
+  return found;
+}
+
+// En rad per avsnitt — klistras in i arkets Series-kolumn efter granskning
+function exportSuggestedSeriesCsv() {
+  const rows = [];
+  suggestedSeries.forEach(s => {
+    buildSeries(s.name, s.episodes).episodes.forEach((r, i) => {
+      rows.push({
+        "Suggested Series": s.name,
+        "Part": i + 1,
+        "GUID": r.GUID,
+        "Episode": r.Episode ?? "",
+        "Title": r.Title,
+        "Publish Date": r.PublishDate ? formatIsoDate(r.PublishDate) : "",
+        "Reason": s.reason
+      });
+    });
+  });
+
+  downloadText(`trih-suggested-series-${formatIsoDate(new Date())}.csv`, Papa.unparse(rows), "text/csv");
+}
+
+// Rad överst i serie-grupperingen
+function renderSuggestedSeriesBar() {
+  const bar = document.createElement("div");
+  bar.className = "series-suggestions";
+  const n = suggestedSeries.size;
+  bar.innerHTML = `
+    <span>🔎 ${n} suggested series detected from episode titles ${suggestedBadgeHtml()}</span>
+    <button type="button" class="button secondary">Export CSV for tagging</button>
+  `;
+  bar.querySelector("button").addEventListener("click", exportSuggestedSeriesCsv);
+  return bar;
+}
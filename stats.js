@@ -1,19 +1,11 @@
 // stats.js
 // Stats overview by Period, Region and Topic + filters + line charts
-
-const SHEET_CSV_URL =
-  "https://docs.google.com/spreadsheets/d/e/2PACX-1vSJCZMVCGsqvaIkm4vFBUXeF39Jnmf_mTS2T8F1oQa40vP9Oys19OsqlN4WSZG8BArc2aK4WVOsfvqC/pub?output=csv";
+// (episode loading + filter matching: episodes.js)
 
 const statsState = {
   raw: [],
   filtered: [],
-  filters: {
-    years: new Set(),
-    periods: new Set(),
-    regions: new Set(),
-    topics: new Set(),
-    series: new Set() 
-  }
+  filters: createFilters()
 };
 
 let chartPeriod = null;
@@ -27,27 +19,15 @@ document.addEventListener("DOMContentLoaded", () => {
   const clearBtn = document.getElementById("clearBtn");
   if (clearBtn) clearBtn.addEventListener("click", resetFilters);
 
-  loadCsv(SHEET_CSV_URL)
-    .then(rows => {
-      const normalized = rows.map(r => ({
-        Episode: parseEpisode(r["Episode"]),
-        Title: (r["Title"] || "").trim(),
-        Region: parseTags(r["Region"]),
-        Period: parseTags(r["Period"]),
-        Topic: parseTags(r["Topic"]),
-        PubDate: parseDate(r["Publish Date"]),
-        Series: parseTags(r["Series"])
-      }));
-
-      const episodes = normalized.filter(r => r.Title);
-      statsState.raw = episodes;
-      statsState.filtered = episodes.slice();
-
-      buildFilterOptions(episodes);
-      loadStateFromUrl();
-      applyUrlStateToUI();
+  loadStateFromUrl();
+  wireFilterDropdowns();
+
+  // Cache → render direkt; nyare data från arket → setEpisodes igen.
+  // Flödet hämtas bara i utforskaren — här räcker de cachade flödesposterna.
+  loadEpisodes(setEpisodes, { feed: false })
+    .then(episodes => {
+      setEpisodes(episodes);
       updateUrlFromState();
-      applyFiltersAndRender();
     })
     .catch(err => {
       console.error("Failed to load CSV for stats", err);
@@ -55,158 +35,38 @@ document.addEventListener("DOMContentLoaded", () => {
     });
 });
 
-// ---------------------------------------------------------------------------
-// CSV loader
-// ---------------------------------------------------------------------------
-function loadCsv(url) {
-  return new Promise((resolve, reject) => {
-    Papa.parse(url, {
-      download: true,
-      header: true,
-      skipEmptyLines: true,
-      complete: res => resolve(res.data),
-      error: reject
-    });
-  });
+function setEpisodes(episodes) {
+  statsState.raw = episodes;
+  statsState.filtered = episodes.slice();
+
+  buildFilterOptions(episodes);
+  applyUrlStateToUI();
+  applyFiltersAndRender();
 }
 
+// Lyssnat-status / My library ändrad i en annan flik
+["listeningchange", "librarychange"].forEach(type => {
+  document.addEventListener(type, () => {
+    if (statsState.raw.length) applyFiltersAndRender();
+  });
+});
+
 function setTotalInfo(text) {
   const el = document.getElementById("statsTotalInfo");
-  if (el) el.textContent = text;
+  // Live region — skriv bara vid ändring
+  if (el && el.textContent !== text) el.textContent = text;
 }
 
 // ---------------------------------------------------------------------------
 // FILTER SETUP
 // ---------------------------------------------------------------------------
 function buildFilterOptions(rows) {
-  const years = new Set();
-  const periods = new Set();
-  const regions = new Set();
-  const topics = new Set();
-  const series = new Set();
-
-  rows.forEach(r => {
-    const y = r.PubDate ? r.PubDate.getFullYear() : null;
-    if (y) years.add(String(y));
-
-    (r.Period.length ? r.Period : ["No period assigned"]).forEach(p => periods.add(p));
-    (r.Region.length ? r.Region : ["No region assigned"]).forEach(g => regions.add(g));
-    (r.Topic.length ? r.Topic : ["No topic assigned"]).forEach(t => topics.add(t));
-    (r.Series.length ? r.Series : ["No series assigned"]).forEach(s => series.add(s));
-  });
-
-  const host = document.getElementById("filterDropdownHost");
-  host.innerHTML = "";
-
-  const dataMap = {
-    year: [...years].sort((a, b) => Number(b) - Number(a)),
-    period: sortWithNoneLast([...periods]),
-    region: sortAlphaNoneLast([...regions]),
-    topic: sortAlphaNoneLast([...topics]),
-    series: sortAlphaNoneLast([...series]) 
-  };
-
-  ["year","period","region","topic","series"].forEach(key => {
-    const panel = document.createElement("div");
-    panel.className = "filter-dropdown";
-    panel.dataset.filter = key;
-
-    const inner = document.createElement("div");
-    inner.className = "filter-dropdown-inner";
-    inner.id = key + "Options";
-
-    dataMap[key].forEach(v => {
-      const label = document.createElement("label");
-      label.className = "filter-option";
-
-      const input = document.createElement("input");
-      input.type = "checkbox";
-      input.value = v;
-
-      input.addEventListener("change", () => {
-        const set =
-          key === "year"    ? statsState.filters.years :
-          key === "period"  ? statsState.filters.periods :
-          key === "region"  ? statsState.filters.regions :
-          key === "topic"   ? statsState.filters.topics :
-          statsState.filters.series; 
-
-        input.checked ? set.add(v) : set.delete(v);
-        applyFiltersAndRender();
-      });
-
-      label.appendChild(input);
-      label.appendChild(document.createTextNode(stripPrefix(v)));
-      inner.appendChild(label);
-    });
-
-    panel.appendChild(inner);
-    host.appendChild(panel);
-  });
-
-  wirePillButtons();
-}
-
-function wirePillButtons() {
-  const pills = [...document.querySelectorAll(".pill-button")];
-  const panels = [...document.querySelectorAll(".filter-dropdown")];
-  const host = document.getElementById("filterDropdownHost");
-
-  function closeAll() {
-    pills.forEach(p => p.classList.remove("active"));
-    panels.forEach(p => {
-      p.classList.remove("open");
-      host.appendChild(p);
-      p.style.position = "";
-      p.style.left = "";
-      p.style.top = "";
-      p.style.width = "";
-    });
-  }
-
-  pills.forEach(pill => {
-    pill.addEventListener("click", e => {
-      e.stopPropagation();
-      const key = pill.dataset.filter;
-      const panel = panels.find(p => p.dataset.filter === key);
-
-      const isActive = pill.classList.contains("active");
-      if (isActive) {
-        closeAll();
-        return;
-      }
-
-      closeAll();
-      pill.classList.add("active");
-      panel.classList.add("open");
-
-      const wrapper = pill.closest(".pill-wrapper") || pill.parentElement;
-      wrapper.appendChild(panel);
-
-      panel.style.position = "absolute";
-      panel.style.left = "0px";
-      panel.style.top = "100%";
-      panel.style.width = "max-content";
-    });
-  });
-
-  panels.forEach(panel =>
-    panel.addEventListener("click", e => e.stopPropagation())
-  );
-
-  document.addEventListener("click", closeAll);
+  buildFacetPanels(rows, statsState.filters, applyFiltersAndRender);
 }
 
 function resetFilters() {
-  const f = statsState.filters;
-  f.years.clear();
-  f.periods.clear();
-  f.regions.clear();
-  f.topics.clear();
-
-  document
-    .querySelectorAll(".filter-dropdown input[type='checkbox']")
-    .forEach(c => (c.checked = false));
+  clearFilters(statsState.filters);
+  syncFacetPanels(statsState.filters);
 
   applyFiltersAndRender();
 }
@@ -215,36 +75,7 @@ function resetFilters() {
 // APPLY FILTERS AND RENDER ALL OUTPUT
 // ---------------------------------------------------------------------------
 function applyFiltersAndRender() {
-  const { years, periods, regions, topics, series } = statsState.filters;
-
-  let rows = statsState.raw.filter(r => {
-    if (years.size) {
-      const y = r.PubDate ? String(r.PubDate.getFullYear()) : "";
-      if (!years.has(y)) return false;
-    }
-
-    if (periods.size) {
-      const tags = r.Period.length ? r.Period : ["No period assigned"];
-      if (!tags.some(t => periods.has(t))) return false;
-    }
-
-    if (regions.size) {
-      const tags = r.Region.length ? r.Region : ["No region assigned"];
-      if (!tags.some(t => regions.has(t))) return false;
-    }
-
-    if (topics.size) {
-      const tags = r.Topic.length ? r.Topic : ["No topic assigned"];
-      if (!tags.some(t => topics.has(t))) return false;
-    }
-
-    if (series.size) {
-      const tags = r.Series.length ? r.Series : ["No series assigned"];
-      if (!tags.some(s => series.has(s))) return false;
-    }
-
-    return true;
-  });
+  const rows = filterEpisodes(statsState.raw, statsState.filters);
 
   statsState.filtered = rows;
 
@@ -264,28 +95,32 @@ function applyFiltersAndRender() {
     renderStatsTable("periodCard", []);
     renderStatsTable("regionCard", []);
     renderStatsTable("topicCard", []);
+    renderListeningTable("periodListeningCard", [], "period");
+    renderListeningTable("regionListeningCard", [], "region");
 
     renderLineChart("chart-period", [], "Period", generatePalette(20));
     renderLineChart("chart-region", [], "Region", generatePalette(15));
+    renderStatsRegionMap([]);
     renderLineChart("chart-topic", [], "Topic", generatePalette(20));
+    updateUrlFromState();
     return;
   }
 
   const periodStats = buildTagStats(
     rows,
-    r => (r.Period.length ? r.Period : ["No period assigned"]),
+    r => facetValues(r, "period"),
     totalAll
   );
   
   const regionStats = buildTagStats(
     rows,
-    r => (r.Region.length ? r.Region : ["No region assigned"]),
+    r => facetValues(r, "region"),
     totalAll
   );
   
   const topicStats = buildTagStats(
     rows,
-    r => (r.Topic.length ? r.Topic : ["No topic assigned"]),
+    r => facetValues(r, "topic"),
     totalAll
   );
 
@@ -293,32 +128,54 @@ function applyFiltersAndRender() {
   renderStatsTable("regionCard", regionStats.sort((a, b) => b.count - a.count));
   renderStatsTable("topicCard", topicStats.sort((a, b) => b.count - a.count));
 
+  renderListeningTable("periodListeningCard", rows, "period");
+  renderListeningTable("regionListeningCard", rows, "region");
+
   renderLineChart("chart-period", rows, "Period", generatePalette(20));
   renderLineChart("chart-region", rows, "Region", generatePalette(15));
+  renderStatsRegionMap(rows);
   renderLineChart("chart-topic", rows, "Topic", generatePalette(20));
 
   updateUrlFromState();
 
 }
 
+// Kartkortet (map-view.js) — klick på ett område filtrerar som i explorern
+function renderStatsRegionMap(rows) {
+  const host = document.getElementById("regionMap");
+  if (!host) return;
+
+  renderRegionMap(host, rows, statsState.filters, tag => {
+    toggleMapRegion(statsState.filters, tag);
+    syncFacetPanels(statsState.filters);
+    applyFiltersAndRender();
+  });
+}
+
 // ---------------------------------------------------------------------------
 // CHIPS
 // ---------------------------------------------------------------------------
 function renderChips() {
-  const { years, periods, regions, topics, series } = statsState.filters;
   const box = document.getElementById("activeChips");
   box.innerHTML = "";
 
-  years.forEach(v => box.appendChild(makeChip("Year", v, () => removeFilter("year", v))));
-  periods.forEach(v => box.appendChild(makeChip("Period", v, () => removeFilter("period", v))));
-  regions.forEach(v => box.appendChild(makeChip("Region", v, () => removeFilter("region", v))));
-  topics.forEach(v => box.appendChild(makeChip("Topic", v, () => removeFilter("topic", v))));
-  series.forEach(v => box.appendChild(makeChip("Series", v, () => removeFilter("series", v))));
+  // Sök finns bara i explorern, men följer med i delade länkar
+  const { q } = statsState.filters;
+  if (q) {
+    box.appendChild(makeChip("Search", q, () => {
+      statsState.filters.q = "";
+      applyFiltersAndRender();
+    }));
+  }
+
+  activeFilterEntries(statsState.filters).forEach(entry =>
+    box.appendChild(makeChip(entry.exclude ? `Not ${entry.label}` : entry.label, entry.value, () => removeFilter(entry), entry.exclude))
+  );
 }
 
-function makeChip(label, value, removeFn) {
+function makeChip(label, value, removeFn, exclude = false) {
   const el = document.createElement("div");
-  el.className = "chip";
+  el.className = exclude ? "chip chip-exclude" : "chip";
   el.innerHTML = `
     <span class="chip-label">${label}:</span>
     ${escapeHtml(stripPrefix(value))}
@@ -328,104 +185,17 @@ function makeChip(label, value, removeFn) {
   return el;
 }
 
-function removeFilter(key, value) {
-  const set =
-    key === "year"    ? statsState.filters.years :
-    key === "period"  ? statsState.filters.periods :
-    key === "region"  ? statsState.filters.regions :
-    key === "topic"   ? statsState.filters.topics :
-    statsState.filters.series;   
-
-
-  set.delete(value);
-  uncheck(key, value);
+function removeFilter(entry) {
+  removeFilterEntry(statsState.filters, entry);
+  syncFacetPanels(statsState.filters);
   applyFiltersAndRender();
 }
 
-function uncheck(key, value) {
-  const panel = document.querySelector(`.filter-dropdown[data-filter="${key}"]`);
-  if (!panel) return;
-  panel.querySelectorAll("input").forEach(i => {
-    if (i.value === value) i.checked = false;
-  });
-}
-
 // ---------------------------------------------------------------------------
-// CASCADE: rebuild available filter options based on filtered dataset
+// CASCADE: option counts in the dropdowns follow the current filters
 // ---------------------------------------------------------------------------
 function rebuildFilterOptionsCascade() {
-  const { years, periods, regions, topics, series } = statsState.filters;
-  const rows = statsState.filtered;
-
-  const yearSet = new Set();
-  const periodSet = new Set();
-  const regionSet = new Set();
-  const topicSet = new Set();
-  const seriesSet = new Set();
-
-  rows.forEach(r => {
-    const y = r.PubDate ? String(r.PubDate.getFullYear()) : null;
-    if (y) yearSet.add(y);
-
-    (r.Period.length ? r.Period : ["No period assigned"]).forEach(v => periodSet.add(v));
-    (r.Region.length ? r.Region : ["No region assigned"]).forEach(v => regionSet.add(v));
-    (r.Topic.length ? r.Topic : ["No topic assigned"]).forEach(v => topicSet.add(v));
-    (r.Series.length ? r.Series : ["No series assigned"]).forEach(v => seriesSet.add(v));
-  });
-
-  const dropdowns = [
-    { key: "year", set: yearSet, active: years.size > 0 },
-    { key: "period", set: periodSet, active: periods.size > 0 },
-    { key: "region", set: regionSet, active: regions.size > 0 },
-    { key: "topic", set: topicSet, active: topics.size > 0 },
-    { key: "series", set: seriesSet, active: statsState.filters.series.size > 0 }  // ⭐
-  ];
-
-  dropdowns.forEach(({ key, set, active }) => {
-    if (active) return;
-
-    const panel = document.querySelector(`.filter-dropdown[data-filter="${key}"]`);
-    const inner = panel.querySelector(".filter-dropdown-inner");
-    inner.innerHTML = "";
-
-    const sorted =
-      key === "year"
-        ? [...set].sort((a, b) => Number(b) - Number(a))
-        : key === "period"
-        ? sortWithNoneLast([...set])
-        : sortAlphaNoneLast([...set]);
-
-    sorted.forEach(v => {
-      const label = document.createElement("label");
-      label.className = "filter-option";
-
-      const input = document.createElement("input");
-      input.type = "checkbox";
-      input.value = v;
-
-      const owningSet =
-        key === "year"
-          ? years
-          : key === "period"
-          ? periods
-          : key === "region"
-          ? regions
-          : key === "topic"
-          ? topics
-          : series;
-
-
-      input.checked = owningSet.has(v);
-      input.addEventListener("change", () => {
-        input.checked ? owningSet.add(v) : owningSet.delete(v);
-        applyFiltersAndRender();
-      });
-
-      label.appendChild(input);
-      label.appendChild(document.createTextNode(stripPrefix(v)));
-      inner.appendChild(label);
-    });
-  });
+  refreshFacetPanels(statsState.raw, statsState.filters, applyFiltersAndRender);
 }
 
 // ---------------------------------------------------------------------------
@@ -448,62 +218,42 @@ function buildTagStats(rows, selectorFn, totalEpisodes) {
 }
 
 // ---------------------------------------------------------------------------
-// TAG HELPERS
+// RENDER TABLES
 // ---------------------------------------------------------------------------
-function parseTags(v) {
-  if (!v) return [];
-  return v
-    .split(",")
-    .map(x => x.trim())   // ⭐ behåll prefix!
-    //.map(x => stripPrefix(x.trim()))
-    .filter(Boolean);
-}
-
-function stripPrefix(v) {
-  return v.replace(/^\d+\.\s*/, "");
-}
-
-function sortAlphaNoneLast(arr) {
-  return arr.sort((a, b) => {
-    const aIsNone = a.startsWith("No ");
-    const bIsNone = b.startsWith("No ");
-
-    if (aIsNone && !bIsNone) return 1;
-    if (!aIsNone && bIsNone) return -1;
-
-    // Normal alfabetisk sortering
-    return a.localeCompare(b);
-  });
-}
 
-function sortWithNoneLast(arr) {
-  return arr.sort((a, b) => {
-    const aIsNone = a.startsWith("No ");
-    const bIsNone = b.startsWith("No ");
+// Lyssnat per period/region: "12 / 30" + andel, i dropdown-ordning
+function renderListeningTable(cardId, rows, key) {
+  const tbody = document.getElementById(cardId).querySelector("tbody");
 
-    // "No … assigned" sist
-    if (aIsNone && !bIsNone) return 1;
-    if (!aIsNone && bIsNone) return -1;
-
-    // Hämta prefixnummer
-    const aNum = parseInt(a);
-    const bNum = parseInt(b);
+  if (!rows.length) {
+    tbody.innerHTML = `<tr><td colspan="3" class="stats-placeholder">No data</td></tr>`;
+    return;
+  }
 
-    // Om båda har nummer → sortera numeriskt ASC
-    if (!isNaN(aNum) && !isNaN(bNum)) return aNum - bNum;
+  const byTag = new Map();
+  rows.forEach(r => facetValues(r, key).forEach(tag => {
+    if (!byTag.has(tag)) byTag.set(tag, []);
+    byTag.get(tag).push(r);
+  }));
 
-    // Om bara en har nummer → nummer först
-    if (!isNaN(aNum) && isNaN(bNum)) return -1;
-    if (isNaN(aNum) && !isNaN(bNum)) return 1;
+  tbody.innerHTML = "";
+  sortFacetValues(key, byTag.keys()).forEach(tag => {
+    const { listened, progress, total } = listeningProgress(byTag.get(tag));
+    const pct = (listened / total) * 100;
 
-    // Fallback → alfabetiskt
-    return a.localeCompare(b);
+    const tr = document.createElement("tr");
+    if (tag === getFacet(key).none) tr.classList.add("stats-noassign");
+    tr.innerHTML = `
+      <td>${escapeHtml(stripPrefix(tag))}</td>
+      <td class="stats-num" title="${progress} in progress">${listened} / ${total}</td>
+      <td class="stats-num">
+        <span class="listening-bar" aria-hidden="true"><span style="width:${pct.toFixed(1)}%"></span></span>
+        ${pct.toFixed(0)}%
+      </td>
+    `;
+    tbody.appendChild(tr);
   });
 }
-
-// ---------------------------------------------------------------------------
-// RENDER TABLES
-// ---------------------------------------------------------------------------
 function renderStatsTable(cardId, rows) {
   const card = document.getElementById(cardId);
   const tbody = card.querySelector("tbody");
@@ -534,16 +284,6 @@ function renderStatsTable(cardId, rows) {
   });
 }
 
-function escapeHtml(s) {
-  return s.replace(/[&<>"']/g, c => ({
-    "&": "&amp;",
-    "<": "&lt;",
-    ">": "&gt;",
-    '"': "&quot;",
-    "'": "&#39;"
-  })[c]);
-}
-
 // ---------------------------------------------------------------------------
 // LINE CHARTS
 // ---------------------------------------------------------------------------
@@ -581,7 +321,7 @@ function renderLineChart(canvasId, episodes, tagField, palette) {
   // Alla år i sorterad ordning
   const years = [...new Set(
     episodes
-      .map(e => e.PubDate?.getFullYear())
+      .map(e => e.PublishDate?.getFullYear())
       .filter(Boolean)
   )].sort((a, b) => a - b);
 
@@ -628,8 +368,8 @@ function renderLineChart(canvasId, episodes, tagField, palette) {
     years.forEach(y => {
       const cnt = episodes.filter(
         e =>
-          e.PubDate &&
-          e.PubDate.getFullYear() === y &&
+          e.PublishDate &&
+          e.PublishDate.getFullYear() === y &&
           e[tagField]?.includes(tag)
       ).length;
       yearToValue.set(y, cnt > 0 ? cnt : null);
@@ -689,77 +429,39 @@ function renderLineChart(canvasId, episodes, tagField, palette) {
   if (canvasId === "chart-topic") chartTopic = chart;
 }
 // ---------------------------------------------------------------------------
-// DATE PARSER
+// URL STATE
 // ---------------------------------------------------------------------------
-function parseEpisode(v) {
-  const s = ("" + v).trim();
-  const m = /^(\d+)/.exec(s);
-  return m ? Number(m[1]) : null;
-}
-
-function parseDate(v) {
-  if (!v) return null;
-  const d = new Date(v);
-  return isNaN(d.getTime()) ? null : d;
-}
-
-function periodSortValue(v) {
-  const n = parseInt(v);
-  return isNaN(n) ? 9999 : n;   // icke-numrerade sist
-}
-
 function loadStateFromUrl() {
   const params = new URLSearchParams(window.location.search);
-
-  ["years", "periods", "regions", "topics", "series"].forEach(key => {
-    if (params.has(key)) {
-      const values = params.get(key).split(",");
-      values.forEach(v => statsState.filters[key].add(v));
-    }
-  });
+  filtersFromParams(params, statsState.filters);
 }
 
 function updateUrlFromState() {
-  const params = new URLSearchParams();
+  const params = filtersToParams(statsState.filters, baseUrlParams());
 
-  if (statsState.filters.years.size)
-    params.set("years", [...statsState.filters.years].join(","));
-
-  if (statsState.filters.periods.size)
-    params.set("periods", [...statsState.filters.periods].join(","));
-
-  if (statsState.filters.regions.size)
-    params.set("regions", [...statsState.filters.regions].join(","));
+  writeUrlState(params);
+  syncCurrentView();
+}
 
-  if (statsState.filters.topics.size)
-    params.set("topics", [...statsState.filters.topics].join(","));
+// Sparade vyer (views.js) — bara filter, sidan har ingen gruppering
+function currentViewParams() {
+  return filtersToParams(statsState.filters);
+}
 
-  if (statsState.filters.series.size)                                
-    params.set("series", [...statsState.filters.series].join(","));
+function applyViewParams(params) {
+  clearFilters(statsState.filters);
+  filtersFromParams(params, statsState.filters);
 
-  const newUrl = `${location.pathname}?${params.toString()}`;
-  history.replaceState({}, "", newUrl);
+  applyUrlStateToUI();
+  applyFiltersAndRender();
 }
 
+// Back / Forward mellan filtersteg
+window.addEventListener("popstate", () => {
+  if (!statsState.raw.length) return;
+  restoreUrlState(applyViewParams);
+});
+
 function applyUrlStateToUI() {
-  ["year","period","region","topic","series"].forEach(key => {
-    const panel = document.querySelector(`.filter-dropdown[data-filter="${key}"]`);
-    if (!panel) return;
-
-    const set =
-      key === "year"
-        ? statsState.filters.years
-        : key === "period"
-        ? statsState.filters.periods
-        : key === "region"
-        ? statsState.filters.regions
-        : key === "topic"
-        ? statsState.filters.topics
-        : statsState.filters.series;  
-
-    panel.querySelectorAll("input[type='checkbox']").forEach(input => {
-      input.checked = set.has(input.value);
-    });
-  });
+  syncFacetPanels(statsState.filters);
 }
-
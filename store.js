@@ -0,0 +1,24 @@
+/**
+ * localStorage helpers for everything the explorer saves in this browser
+ * - Values are JSON; a missing or unreadable value gives the caller's fallback
+ * - Failures (private mode, full storage) are logged, never thrown — losing a
+ *   preference must not break the page
+ */
+
+function readStore(key, fallback) {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved == null ? fallback : JSON.parse(saved) ?? fallback;
+  } catch (err) {
+    console.warn(`Ignoring saved ${key}`, err);
+    return fallback;
+  }
+}
+
+function writeStore(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`Could not save ${key}`, err);
+  }
+}
@@ -0,0 +1,98 @@
+// sw.js
+// Service worker: caches the app shell so the explorer opens without network.
+// Episode data is NOT cached here — episodes.js keeps the sheet in IndexedDB.
+
+const SHELL_CACHE = "trih-shell-v19";
+
+// Precache: egna filer. CDN-skript (papaparse, chart.js) och fonter cachas
+// första gången de hämtas (se fetch nedan).
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "stats.html",
+  "tagging.html",
+  "styles.css",
+  "stats.css",
+  "feed.js",
+  "search.js",
+  "query.js",
+  "episodes.js",
+  "store.js",
+  "reorder.js",
+  "listening.js",
+  "library.js",
+  "queue.js",
+  "player.js",
+  "related.js",
+  "series.js",
+  "filter-panel.js",
+  "table-view.js",
+  "timeline-view.js",
+  "map-view.js",
+  "keyboard.js",
+  "views.js",
+  "data.js",
+  "stats.js",
+  "episodes.json",
+  "world-map.json",
+  "cover.PNG",
+  "favicon.png"
+];
+
+const RUNTIME_HOSTS = [
+  "cdn.jsdelivr.net",
+  "fonts.googleapis.com",
+  "fonts.gstatic.com"
+];
+
+self.addEventListener("install", event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Rensa gamla versioner av cachen
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(k => k !== SHELL_CACHE).map(k => caches.delete(k))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", event => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+
+  const url = new URL(req.url);
+  const isOwn = url.origin === self.location.origin;
+  if (!isOwn && !RUNTIME_HOSTS.includes(url.hostname)) return;
+
+  // Egna filer lagras och slås upp utan querystring (index.html?periods=… →
+  // index.html), annars blir varje filter-URL en egen kopia i cachen
+  const key = isOwn ? new Request(url.origin + url.pathname) : req;
+  event.respondWith(staleWhileRevalidate(event, req, key));
+});
+
+// Svara från cachen direkt, uppdatera cachen i bakgrunden (under `key`)
+function staleWhileRevalidate(event, req, key) {
+  return caches.open(SHELL_CACHE).then(cache =>
+    cache.match(key).then(cached => {
+      const network = fetch(req)
+        .then(res => {
+          if (res.ok || res.type === "opaque") cache.put(key, res.clone());
+          return res;
+        });
+
+      if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+      }
+      return network;
+    })
+  );
+}
@@ -0,0 +1,290 @@
+/**
+ * Table view for the explorer (group=table)
+ * - One row per episode: #, title, date, period, region, topic, series
+ * - Click a header to sort (again to reverse); persisted in the URL as tsort=
+ * - Columns can be hidden and resized; kept in localStorage
+ * - Virtualized: only rows in view (+ overscan) are in the DOM
+ *
+ * Rows arrive already filtered and in the list's sort order (data.js);
+ * without a header sort the table keeps that order.
+ */
+
+const TABLE_ROW_HEIGHT = 36;
+const TABLE_OVERSCAN = 10;
+const TABLE_PREFS_KEY = "trih-table-columns";
+
+const TABLE_COLUMNS = [
+  { key: "ep", label: "#", width: 60, text: r => (r.Episode != null ? String(r.Episode) : ""),
+    compare: (a, b) => compareEpisodeNumbers(a, b) },
+  { key: "title", label: "Title", width: 340, fixed: true, text: r => stripPrefix(r.Title),
+    compare: (a, b) => stripPrefix(a.Title).localeCompare(stripPrefix(b.Title)) },
+  { key: "date", label: "Date", width: 120, text: r => (r.PublishDate ? formatIsoDate(r.PublishDate) : ""),
+    compare: (a, b) => dateValue(a) - dateValue(b) },
+  { key: "period", label: "Period", width: 150, text: r => r.Period.map(stripPrefix).join(", "),
+    compare: (a, b) => periodSortValue(a.Period[0] || "") - periodSortValue(b.Period[0] || "") },
+  { key: "region", label: "Region", width: 170, text: r => r.Region.join(", ") },
+  { key: "topic", label: "Topic", width: 170, text: r => r.Topic.join(", ") },
+  { key: "series", label: "Series", width: 170, text: r => r.Series.join(", ") }
+];
+
+const tableView = {
+  sortKey: "",      // "" = listans sortering (#sortOrder)
+  sortDir: 1,
+  rows: [],
+  hidden: new Set(),
+  widths: {},
+  scroller: null,
+  selected: null
+};
+
+loadTablePrefs();
+
+// ---------- Rendering ----------
+
+function renderEpisodeTable(host, rows) {
+  tableView.rows = sortTableRows(rows);
+  if (tableView.selected && !rows.includes(tableView.selected)) tableView.selected = null;
+
+  host.innerHTML = `
+    <div class="table-view">
+      <div class="table-toolbar">
+        <details class="table-columns">
+          <summary class="button secondary">Columns ▾</summary>
+          <div class="table-columns-menu"></div>
+        </details>
+      </div>
+      <div class="table-scroller" tabindex="0" aria-label="Episodes table">
+        <table class="episode-table" aria-rowcount="${rows.length + 1}">
+          <colgroup></colgroup>
+          <thead><tr></tr></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+      <div class="table-detail"></div>
+    </div>
+  `;
+
+  const view = host.querySelector(".table-view");
+  tableView.scroller = view.querySelector(".table-scroller");
+
+  renderColumnMenu(view.querySelector(".table-columns-menu"), host);
+  renderTableHead(view);
+  renderTableDetail();
+
+  let frame = 0;
+  tableView.scroller.addEventListener("scroll", () => {
+    if (frame) return;
+    frame = requestAnimationFrame(() => {
+      frame = 0;
+      renderVisibleRows();
+    });
+  });
+
+  view.querySelector("tbody").addEventListener("click", e => {
+    const tr = e.target.closest("tr[data-index]");
+    if (!tr || e.target.closest("a")) return;
+    const r = tableView.rows[Number(tr.dataset.index)];
+    tableView.selected = tableView.selected === r ? null : r;
+    renderVisibleRows();
+    renderTableDetail();
+  });
+
+  renderVisibleRows();
+}
+
+function visibleColumns() {
+  return TABLE_COLUMNS.filter(c => !tableView.hidden.has(c.key));
+}
+
+function columnWidth(c) {
+  return tableView.widths[c.key] || c.width;
+}
+
+function renderTableHead(view) {
+  const cols = visibleColumns();
+  const table = view.querySelector(".episode-table");
+
+  table.querySelector("colgroup").innerHTML = cols
+    .map(c => `<col data-col="${c.key}" style="width:${columnWidth(c)}px">`)
+    .join("");
+  table.style.width = `${cols.reduce((sum, c) => sum + columnWidth(c), 0)}px`;
+
+  const headRow = table.querySelector("thead tr");
+  headRow.innerHTML = "";
+
+  cols.forEach(c => {
+    const th = document.createElement("th");
+    th.scope = "col";
+    const sorted = tableView.sortKey === c.key;
+    th.setAttribute("aria-sort", sorted ? (tableView.sortDir > 0 ? "ascending" : "descending") : "none");
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "table-sort";
+    btn.innerHTML = `${escapeHtml(c.label)}<span class="table-sort-arrow">${sorted ? (tableView.sortDir > 0 ? "▲" : "▼") : ""}</span>`;
+    btn.addEventListener("click", () => {
+      setTableSort(c.key);
+      debouncedApply();
+    });
+    th.appendChild(btn);
+
+    const handle = document.createElement("span");
+    handle.className = "col-resize";
+    handle.setAttribute("aria-hidden", "true");
+    handle.addEventListener("pointerdown", e => startColumnResize(e, c, table));
+    th.appendChild(handle);
+
+    headRow.appendChild(th);
+  });
+}
+
+// Bara raderna som syns (+ overscan); spacer-rader håller scrollhöjden
+function renderVisibleRows() {
+  const scroller = tableView.scroller;
+  if (!scroller) return;
+
+  const rows = tableView.rows;
+  const cols = visibleColumns();
+  const viewHeight = scroller.clientHeight || TABLE_ROW_HEIGHT * 20;
+
+  const first = Math.max(0, Math.floor(scroller.scrollTop / TABLE_ROW_HEIGHT) - TABLE_OVERSCAN);
+  const last = Math.min(rows.length, Math.ceil((scroller.scrollTop + viewHeight) / TABLE_ROW_HEIGHT) + TABLE_OVERSCAN);
+
+  const spacer = n => (n > 0
+    ? `<tr class="table-spacer" aria-hidden="true"><td colspan="${cols.length}" style="height:${n * TABLE_ROW_HEIGHT}px"></td></tr>`
+    : "");
+
+  let html = spacer(first);
+  for (let i = first; i < last; i++) {
+    const r = rows[i];
+    const selected = r === tableView.selected;
+    html += `<tr data-index="${i}" aria-rowindex="${i + 2}" class="${selected ? "is-selected" : ""}"` +
+      ` aria-selected="${selected}" style="height:${TABLE_ROW_HEIGHT}px">` +
+      cols.map(c => {
+        const text = c.text(r);
+        const cell = c.key === "title" ? highlightHtml(text, state.highlight) : escapeHtml(text);
+        return `<td class="col-${c.key}" title="${escapeHtml(text)}">${cell}</td>`;
+      }).join("") +
+      `</tr>`;
+  }
+  html += spacer(rows.length - last);
+
+  if (!rows.length) {
+    html = `<tr><td colspan="${cols.length}" class="table-empty">No episodes match the current filters.</td></tr>`;
+  }
+
+  scroller.querySelector("tbody").innerHTML = html;
+}
+
+// Vald rad visas som vanligt avsnittskort under tabellen
+function renderTableDetail() {
+  const box = document.querySelector(".table-detail");
+  if (!box) return;
+  box.innerHTML = "";
+  if (!tableView.selected) return;
+
+  const card = renderEpisodeCard(tableView.selected);
+  card.open = true;
+  box.appendChild(card);
+}
+
+function renderColumnMenu(menu, host) {
+  TABLE_COLUMNS.filter(c => !c.fixed).forEach(c => {
+    const label = document.createElement("label");
+    label.className = "filter-option";
+
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.checked = !tableView.hidden.has(c.key);
+    input.addEventListener("change", () => {
+      if (input.checked) {
+        tableView.hidden.delete(c.key);
+      } else {
+        tableView.hidden.add(c.key);
+      }
+      saveTablePrefs();
+      renderTableHead(host.querySelector(".table-view"));
+      renderVisibleRows();
+    });
+
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(c.label === "#" ? "Episode #" : c.label));
+    menu.appendChild(label);
+  });
+}
+
+// ---------- Sorting ----------
+
+// Klick på samma rubrik vänder ordningen; datum börjar med nyast
+function setTableSort(key) {
+  if (tableView.sortKey === key) {
+    tableView.sortDir = -tableView.sortDir;
+  } else {
+    tableView.sortKey = key;
+    tableView.sortDir = key === "date" ? -1 : 1;
+  }
+}
+
+// Taggkolumner: tomma celler sist oavsett riktning
+function sortTableRows(rows) {
+  const col = TABLE_COLUMNS.find(c => c.key === tableView.sortKey);
+  if (!col) return rows;
+
+  const dir = tableView.sortDir;
+  return rows.slice().sort((a, b) => {
+    const ta = col.text(a);
+    const tb = col.text(b);
+    if (!ta || !tb) return (!ta) - (!tb);
+    return (col.compare ? col.compare(a, b) : ta.localeCompare(tb)) * dir;
+  });
+}
+
+// URL: tsort=title (stigande) / tsort=-date (fallande)
+function tableSortParam() {
+  if (!tableView.sortKey) return "";
+  return `${tableView.sortDir < 0 ? "-" : ""}${tableView.sortKey}`;
+}
+
+function setTableSortParam(v) {
+  const key = String(v || "").replace(/^-/, "");
+  if (!TABLE_COLUMNS.some(c => c.key === key)) return;
+  tableView.sortKey = key;
+  tableView.sortDir = v.startsWith("-") ? -1 : 1;
+}
+
+// ---------- Columns: resize + prefs ----------
+
+function startColumnResize(e, c, table) {
+  e.preventDefault();
+  const col = table.querySelector(`col[data-col="${c.key}"]`);
+  const startX = e.clientX;
+  const startWidth = columnWidth(c);
+
+  const onMove = ev => {
+    const width = Math.max(50, Math.round(startWidth + ev.clientX - startX));
+    tableView.widths[c.key] = width;
+    col.style.width = `${width}px`;
+    table.style.width = `${visibleColumns().reduce((sum, x) => sum + columnWidth(x), 0)}px`;
+  };
+  const onUp = () => {
+    document.removeEventListener("pointermove", onMove);
+    document.removeEventListener("pointerup", onUp);
+    saveTablePrefs();
+  };
+
+  document.addEventListener("pointermove", onMove);
+  document.addEventListener("pointerup", onUp);
+}
+
+function loadTablePrefs() {
+  const prefs = readStore(TABLE_PREFS_KEY, {});
+  tableView.hidden = new Set(Array.isArray(prefs.hidden) ? prefs.hidden : []);
+  tableView.widths = prefs.widths || {};
+}
+
+function saveTablePrefs() {
+  writeStore(TABLE_PREFS_KEY, {
+    hidden: [...tableView.hidden],
+    widths: tableView.widths
+  });
+}
@@ -0,0 +1,142 @@
+/**
+ * Timeline view for the explorer (group=timeline)
+ * - Periods as bands along the span of history, left → right in
+ *   periodSortValue order ("No period assigned" last)
+ * - Episodes as markers inside their period's band (an episode tagged with
+ *   several periods appears in each), in the list's sort order
+ * - Zoom: − / + buttons or Ctrl + wheel over the timeline
+ * - Clicking a marker shows the episode card below the timeline
+ */
+
+const TIMELINE_ZOOM_LEVELS = [8, 12, 18, 26, 36];   // markörstorlek i px
+const TIMELINE_ROWS = 8;                             // markörer per kolumn i ett band
+
+const timelineView = {
+  zoom: 2,            // index i TIMELINE_ZOOM_LEVELS
+  selected: null
+};
+
+function renderEpisodeTimeline(host, rows) {
+  if (timelineView.selected && !rows.includes(timelineView.selected)) timelineView.selected = null;
+
+  host.innerHTML = `
+    <div class="timeline-view">
+      <div class="timeline-toolbar">
+        <span class="timeline-hint">Periods in historical order · click a marker to open the episode</span>
+        <div class="timeline-zoom" role="group" aria-label="Zoom">
+          <button type="button" class="button secondary" data-zoom="-1" aria-label="Zoom out">−</button>
+          <button type="button" class="button secondary" data-zoom="1" aria-label="Zoom in">+</button>
+        </div>
+      </div>
+      <div class="timeline-scroller" tabindex="0" aria-label="Episodes by historical period">
+        <div class="timeline-track"></div>
+      </div>
+      <div class="timeline-detail"></div>
+    </div>
+  `;
+
+  const view = host.querySelector(".timeline-view");
+  const scroller = view.querySelector(".timeline-scroller");
+
+  view.querySelectorAll("[data-zoom]").forEach(btn => {
+    btn.addEventListener("click", () => zoomTimeline(view, rows, Number(btn.dataset.zoom)));
+  });
+
+  scroller.addEventListener("wheel", e => {
+    if (!e.ctrlKey) return;
+    e.preventDefault();
+    zoomTimeline(view, rows, e.deltaY < 0 ? 1 : -1);
+  }, { passive: false });
+
+  view.querySelector(".timeline-track").addEventListener("click", e => {
+    const marker = e.target.closest(".timeline-marker");
+    if (!marker) return;
+    const r = marker.__episode;
+    timelineView.selected = timelineView.selected === r ? null : r;
+    syncTimelineSelection(view);
+    renderTimelineDetail(view);
+  });
+
+  renderTimelineTrack(view, rows);
+  renderTimelineDetail(view);
+}
+
+function renderTimelineTrack(view, rows) {
+  const track = view.querySelector(".timeline-track");
+  track.innerHTML = "";
+
+  const size = TIMELINE_ZOOM_LEVELS[timelineView.zoom];
+  track.style.setProperty("--marker-size", `${size}px`);
+  track.classList.toggle("show-numbers", size >= 26);
+
+  // Valda perioder → bara de banden (som i period-grupperingen)
+  const groups = groupByMulti(rows, r => facetValues(r, "period"), [...state.filters.periods]);
+  const keys = sortWithNoneLast(Object.keys(groups));
+
+  if (!keys.length) {
+    track.innerHTML = `<div class="timeline-empty">No episodes match the current filters.</div>`;
+    return;
+  }
+
+  keys.forEach(key => {
+    const episodes = sortEpisodes(groups[key]);
+
+    const band = document.createElement("section");
+    band.className = "timeline-band";
+    band.setAttribute("aria-label", `${stripPrefix(key)}: ${episodes.length} episodes`);
+    band.innerHTML = `
+      <h3 class="timeline-band-label">⏳ ${escapeHtml(stripPrefix(key))} <span class="timeline-count">${episodes.length}</span></h3>
+      <div class="timeline-markers"></div>
+    `;
+
+    const markers = band.querySelector(".timeline-markers");
+    markers.style.gridTemplateRows = `repeat(${Math.min(TIMELINE_ROWS, episodes.length)}, var(--marker-size))`;
+
+    episodes.forEach(r => {
+      const title = `${r.Episode != null ? r.Episode + ". " : ""}${stripPrefix(r.Title)}`;
+      const marker = document.createElement("button");
+      marker.type = "button";
+      marker.className = "timeline-marker";
+      marker.title = title;
+      marker.setAttribute("aria-label", title);
+      marker.textContent = r.Episode != null ? r.Episode : "";
+      marker.__episode = r;
+      markers.appendChild(marker);
+    });
+
+    track.appendChild(band);
+  });
+
+  syncTimelineSelection(view);
+}
+
+// Zoomar runt samma relativa scrollposition
+function zoomTimeline(view, rows, step) {
+  const next = Math.max(0, Math.min(TIMELINE_ZOOM_LEVELS.length - 1, timelineView.zoom + step));
+  if (next === timelineView.zoom) return;
+
+  const scroller = view.querySelector(".timeline-scroller");
+  const ratio = scroller.scrollWidth ? scroller.scrollLeft / scroller.scrollWidth : 0;
+
+  timelineView.zoom = next;
+  renderTimelineTrack(view, rows);
+  scroller.scrollLeft = ratio * scroller.scrollWidth;
+}
+
+function syncTimelineSelection(view) {
+  view.querySelectorAll(".timeline-marker").forEach(m => {
+    const selected = m.__episode === timelineView.selected;
+    m.classList.toggle("is-selected", selected);
+    m.setAttribute("aria-pressed", selected ? "true" : "false");
+  });
+}
+
+function renderTimelineDetail(view) {
+  const box = view.querySelector(".timeline-detail");
+  box.innerHTML = "";
+  if (!timelineView.selected) return;
+
+  const card = renderEpisodeCard(timelineView.selected);
+  card.open = true;
+  box.appendChild(card);
+}
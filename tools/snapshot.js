@@ -0,0 +1,63 @@
+/**
+ * Writes episodes.json — the bundled fallback read by loadSnapshot() in
+ * episodes.js — from the live tagging sheet
+ * - Run daily by .github/workflows/snapshot.yml, which commits the result
+ * - Locally: npm install --no-save papaparse@5.4.1 && node tools/snapshot.js
+ * - node tools/snapshot.js <file.csv> reads the CSV from a file instead
+ * Leaves the file alone when the sheet is unusable or its rows are unchanged.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const Papa = require("papaparse");
+
+const ROOT = path.join(__dirname, "..");
+
+// Arkets URL, formatet och kontrollen kommer från episodes.js — samma kod som sidan läser med
+function loadEpisodesScript() {
+  const context = vm.createContext({ console });
+  vm.runInContext(fs.readFileSync(path.join(ROOT, "episodes.js"), "utf8"), context);
+  return vm.runInContext("({ SHEET_CSV_URL, SNAPSHOT_URL, buildSnapshot, isUsableSheet })", context);
+}
+
+function readCsv(source) {
+  if (source) return Promise.resolve(fs.readFileSync(source, "utf8"));
+
+  return fetch(episodes.SHEET_CSV_URL).then(res => {
+    if (!res.ok) throw new Error(`Sheet: HTTP ${res.status}`);
+    return res.text();
+  });
+}
+
+function readExistingRows(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8")).rows || [];
+  } catch (err) {
+    return [];
+  }
+}
+
+const episodes = loadEpisodesScript();
+
+readCsv(process.argv[2])
+  .then(text => {
+    // Samma inställningar som loadCsv() i webbläsaren
+    const rows = Papa.parse(text, { header: true, skipEmptyLines: true }).data;
+    if (!episodes.isUsableSheet(rows)) {
+      throw new Error("Sheet CSV is empty or malformed");
+    }
+
+    const file = path.join(ROOT, episodes.SNAPSHOT_URL);
+    if (JSON.stringify(readExistingRows(file)) === JSON.stringify(rows)) {
+      console.log(`${episodes.SNAPSHOT_URL} is up to date (${rows.length} rows)`);
+      return;
+    }
+
+    fs.writeFileSync(file, JSON.stringify(episodes.buildSnapshot(rows), null, 1) + "\n");
+    console.log(`Wrote ${rows.length} rows to ${episodes.SNAPSHOT_URL}`);
+  })
+  .catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,302 @@
+/**
+ * Saved views ("My views") — named filter + search + group-by presets
+ * - Stored in localStorage as URL parameters (same format as the address bar,
+ *   see filtersToParams), so a view is just a bookmark with a name
+ * - #viewsPanel on index.html and stats.html: apply, rename, reorder, delete,
+ *   export / import as JSON (share a standard set within a team)
+ * - Each page provides currentViewParams() and applyViewParams(params);
+ *   stats.html has no grouping and ignores "group"
+ */
+
+const VIEWS_KEY = "trih-views";
+const VIEWS_FORMAT = "trih-views";
+const VIEWS_VERSION = 1;
+
+// [{ id, name, params: "periods=…&group=series" }] i menyordning
+let savedViews = readViews();
+
+function readViews() {
+  const saved = readStore(VIEWS_KEY, []);
+  return Array.isArray(saved) ? saved.filter(isValidView) : [];
+}
+
+function isValidView(v) {
+  return Boolean(v) && typeof v.name === "string" && v.name.trim() !== "" && typeof v.params === "string";
+}
+
+function setViews(views) {
+  savedViews = views;
+  writeStore(VIEWS_KEY, savedViews);
+  document.dispatchEvent(new CustomEvent("viewschange", { detail: {} }));
+}
+
+function newViewId() {
+  return `v${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Samma namn → uppdatera vyn på sin plats, annars lägg till sist
+function saveView(name, params) {
+  const clean = name.trim();
+  const existing = savedViews.find(v => foldText(v.name) === foldText(clean));
+  if (existing) {
+    setViews(savedViews.map(v => (v === existing ? { ...v, params: params.toString() } : v)));
+  } else {
+    setViews([...savedViews, { id: newViewId(), name: clean, params: params.toString() }]);
+  }
+}
+
+function renameView(id, name) {
+  const clean = name.trim();
+  if (!clean) return;
+  setViews(savedViews.map(v => (v.id === id ? { ...v, name: clean } : v)));
+}
+
+function deleteView(id) {
+  setViews(savedViews.filter(v => v.id !== id));
+}
+
+function moveView(from, to) {
+  const next = reorderItems(savedViews, from, to);
+  if (next) setViews(next);
+}
+
+// Normaliserad form: parameterordning och värdeordning spelar ingen roll
+function viewFiltersKey(params) {
+  const filters = createFilters();
+  filtersFromParams(params, filters);
+  const out = filtersToParams(filters);
+  out.sort();
+  return out.toString();
+}
+
+// En vy utan "group" (sparad på statistiksidan) passar alla grupperingar
+function isCurrentView(view, current) {
+  const params = new URLSearchParams(view.params);
+  if (viewFiltersKey(params) !== viewFiltersKey(current)) return false;
+  return !params.has("group") || !current.has("group") || params.get("group") === current.get("group");
+}
+
+// "Period: Ancient · not Topic: War · “rome” · by series"
+function describeView(params) {
+  const filters = createFilters();
+  filtersFromParams(params, filters);
+
+  const parts = activeFilterEntries(filters).map(({ label, value, exclude }) =>
+    `${exclude ? "not " : ""}${label}: ${stripPrefix(value)}`);
+  if (filters.q) parts.unshift(`“${filters.q}”`);
+  if (params.has("group")) parts.push(`by ${params.get("group")}`);
+
+  return parts.join(" · ") || "All episodes";
+}
+
+// ---------- Panel ----------
+
+function renderViewsPanel() {
+  const panel = document.getElementById("viewsPanel");
+  if (!panel) return;
+
+  panel.querySelector(".views-count").textContent = savedViews.length ? String(savedViews.length) : "";
+
+  const list = panel.querySelector(".views-list");
+  list.innerHTML = "";
+
+  if (!savedViews.length) {
+    list.innerHTML = `<li class="views-empty">Set up filters, a search or a grouping, then save it here under a name.</li>`;
+  }
+
+  savedViews.forEach((view, i) => {
+    const li = document.createElement("li");
+    li.className = "views-item";
+    li.dataset.index = i;
+    li.innerHTML = `
+      <button type="button" class="views-apply"></button>
+      <span class="views-summary"></span>
+      <button type="button" class="views-rename" aria-label="Rename">✎</button>
+      <button type="button" class="views-move" data-move="-1" aria-label="Move up">↑</button>
+      <button type="button" class="views-move" data-move="1" aria-label="Move down">↓</button>
+      <button type="button" class="views-delete" aria-label="Delete">✕</button>
+    `;
+    li.querySelector(".views-apply").textContent = view.name;
+    li.querySelector(".views-summary").textContent = describeView(new URLSearchParams(view.params));
+    syncMoveButtons(li, i, savedViews.length);
+    list.appendChild(li);
+  });
+
+  panel.querySelector(".views-export").disabled = !savedViews.length;
+  syncCurrentView();
+}
+
+// Markera vyn som motsvarar sidans filter just nu (anropas från updateUrlFromState)
+function syncCurrentView() {
+  const panel = document.getElementById("viewsPanel");
+  if (!panel) return;
+
+  const current = currentViewParams();
+  panel.querySelectorAll(".views-item").forEach(li => {
+    const view = savedViews[Number(li.dataset.index)];
+    const active = Boolean(view) && isCurrentView(view, current);
+    li.classList.toggle("is-current", active);
+    const apply = li.querySelector(".views-apply");
+    if (active) apply.setAttribute("aria-current", "true");
+    else apply.removeAttribute("aria-current");
+  });
+}
+
+// Namnet blir ett textfält; Enter / fokus bort sparar, Esc avbryter
+function startRenameView(li) {
+  const view = savedViews[Number(li.dataset.index)];
+  const apply = li.querySelector(".views-apply");
+  if (!view || !apply) return;
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "views-rename-input";
+  input.value = view.name;
+  input.setAttribute("aria-label", `Rename “${view.name}”`);
+  apply.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const finish = save => {
+    if (done) return;
+    done = true;
+    if (save && input.value.trim() && input.value.trim() !== view.name) {
+      renameView(view.id, input.value);
+    } else {
+      renderViewsPanel();
+    }
+    const item = document.querySelector(`#viewsPanel .views-item[data-index="${li.dataset.index}"] .views-rename`);
+    if (item) item.focus();
+  };
+
+  input.addEventListener("keydown", e => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      finish(true);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      e.stopPropagation();
+      finish(false);
+    }
+  });
+  input.addEventListener("blur", () => finish(true));
+}
+
+function wireViewsPanel() {
+  const panel = document.getElementById("viewsPanel");
+  if (!panel) return;
+
+  const list = panel.querySelector(".views-list");
+  const status = panel.querySelector(".views-status");
+  const say = text => { status.textContent = text; };
+
+  list.addEventListener("click", e => {
+    const btn = e.target.closest("button");
+    if (!btn || btn.dataset.move) return;
+    const li = btn.closest(".views-item");
+    const i = Number(li.dataset.index);
+    const view = savedViews[i];
+    if (!view) return;
+
+    if (btn.classList.contains("views-apply")) {
+      applyViewParams(new URLSearchParams(view.params));
+      say(`Showing “${view.name}”.`);
+    } else if (btn.classList.contains("views-rename")) {
+      startRenameView(li);
+    } else if (btn.classList.contains("views-delete")) {
+      deleteView(view.id);
+      say(`Deleted “${view.name}”.`);
+    }
+  });
+
+  // ↑ / ↓ (reorder.js)
+  wireReorderList(list, { itemSelector: ".views-item", move: moveView });
+
+  const form = panel.querySelector(".views-save");
+  form.addEventListener("submit", e => {
+    e.preventDefault();
+    const name = form.elements.name.value.trim();
+    if (!name) {
+      form.elements.name.focus();
+      return;
+    }
+    const replaced = savedViews.some(v => foldText(v.name) === foldText(name));
+    saveView(name, currentViewParams());
+    form.elements.name.value = "";
+    say(replaced ? `Updated “${name}”.` : `Saved “${name}”.`);
+  });
+
+  panel.querySelector(".views-export").addEventListener("click", () => {
+    exportViews();
+    say(`Exported ${savedViews.length} view${savedViews.length === 1 ? "" : "s"}.`);
+  });
+
+  const importInput = panel.querySelector(".views-import");
+  importInput.addEventListener("change", () => {
+    const file = importInput.files[0];
+    importInput.value = "";
+    if (!file) return;
+
+    file.text()
+      .then(text => {
+        const count = importViews(text);
+        say(`Imported ${count} view${count === 1 ? "" : "s"}.`);
+      })
+      .catch(err => say(`⚠️ ${err.message}`));
+  });
+
+  renderViewsPanel();
+}
+
+document.addEventListener("DOMContentLoaded", wireViewsPanel);
+
+document.addEventListener("viewschange", renderViewsPanel);
+
+window.addEventListener("storage", e => {
+  if (e.key !== VIEWS_KEY) return;
+  savedViews = readViews();
+  document.dispatchEvent(new CustomEvent("viewschange", { detail: {} }));
+});
+
+// ---------- Export / import ----------
+
+function exportViews() {
+  const data = {
+    format: VIEWS_FORMAT,
+    version: VIEWS_VERSION,
+    exportedAt: new Date().toISOString(),
+    views: savedViews.map(({ name, params }) => ({ name, params }))
+  };
+
+  downloadText(`trih-views-${formatIsoDate(new Date())}.json`, JSON.stringify(data, null, 2), "application/json");
+}
+
+// Returnerar antalet importerade vyer; samma namn ersätter den befintliga vyn
+function importViews(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error("The file is not valid JSON.");
+  }
+  if (!data || data.format !== VIEWS_FORMAT || !Array.isArray(data.views)) {
+    throw new Error("The file is not a TRIH Explorer views export.");
+  }
+  if (data.version > VIEWS_VERSION) {
+    throw new Error("The file was made by a newer version of the Explorer.");
+  }
+
+  const next = [...savedViews];
+  let count = 0;
+  data.views.filter(isValidView).forEach(({ name, params }) => {
+    const clean = { name: name.trim(), params: new URLSearchParams(params).toString() };
+    const i = next.findIndex(v => foldText(v.name) === foldText(clean.name));
+    if (i >= 0) next[i] = { ...next[i], params: clean.params };
+    else next.push({ id: newViewId(), ...clean });
+    count++;
+  });
+
+  setViews(next);
+  return count;
+}